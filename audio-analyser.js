@@ -0,0 +1,266 @@
+/**
+ * AudioAnalyser - Splits the background music into bass/mid/treble energy and detects beats
+ * Routes #music through a Web Audio AnalyserNode on first play, because browsers only
+ * run audio contexts after a user gesture; SoundManager's context is reused when given.
+ * Web Audio outputs silence for cross-origin media fetched without CORS, so tracks are
+ * requested with CORS; a host that refuses it gets plain playback without the analyser
+ */
+class AudioAnalyser {
+    constructor(audio, options = {}) {
+        this.audio = audio;
+        this.fftSize = options.fftSize || 1024;
+        this.beatThreshold = options.beatThreshold || 1.35;
+        this.beatCooldown = options.beatCooldown || 250;
+        // SoundManager's context when there is one: no need for a second audio device stream
+        this.sharedContext = options.context || null;
+        this.context = null;
+        this.analyser = null;
+        this.frequencyData = null;
+        this.levels = { bass: 0, mid: 0, treble: 0, amplitude: 0 };
+        this.bassHistory = [];
+        this.historySize = 43; // ~0.7s at 60fps
+        this.lastBeatAt = 0;
+        this.listeners = new Set();
+        this.frameId = null;
+        this.disabled = false;
+
+        if (this.audio && this.isSupported()) {
+            this.init();
+        }
+    }
+
+    isSupported() {
+        return typeof window.AudioContext === 'function' || typeof window.webkitAudioContext === 'function';
+    }
+
+    init() {
+        this.audio.crossOrigin = 'anonymous';
+
+        // "playing" rather than "play": the graph is only built once a track actually
+        // loaded, so a CORS failure can still fall back to plain playback
+        this.audio.addEventListener('playing', () => this.start());
+        this.audio.addEventListener('pause', () => this.stop());
+        this.audio.addEventListener('ended', () => this.stop());
+        this.audio.addEventListener('error', () => this.dropCors());
+    }
+
+    isCrossOrigin() {
+        try {
+            return new URL(this.audio.currentSrc || this.audio.src, location.href).origin !== location.origin;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Reloads a cross-origin track without CORS; the analyser stays off for the rest
+     * of the page because a connected element cannot be disconnected from the graph.
+     * A refused CORS request surfaces as MEDIA_ERR_SRC_NOT_SUPPORTED; network and
+     * decode errors are left to MusicPlayer
+     */
+    dropCors() {
+        if (this.context || this.audio.crossOrigin === null || !this.isCrossOrigin()) return;
+        if (!this.audio.error || this.audio.error.code !== MediaError.MEDIA_ERR_SRC_NOT_SUPPORTED) return;
+
+        console.log('Track host does not allow CORS, playing without the audio analyser:', this.audio.currentSrc);
+        const resume = !this.audio.paused;
+        this.disabled = true;
+        this.audio.crossOrigin = null;
+        this.audio.load();
+        if (resume) {
+            this.audio.play().catch(error => console.log('Music play failed:', error));
+        }
+    }
+
+    setupGraph() {
+        if (this.disabled) return false;
+        if (this.context) return true;
+
+        try {
+            const Context = window.AudioContext || window.webkitAudioContext;
+            this.context = this.sharedContext || new Context();
+            this.analyser = this.context.createAnalyser();
+            this.analyser.fftSize = this.fftSize;
+            this.analyser.smoothingTimeConstant = 0.8;
+            this.frequencyData = new Uint8Array(this.analyser.frequencyBinCount);
+
+            // An element can only be connected once, so the graph lives for the whole page
+            const source = this.context.createMediaElementSource(this.audio);
+            source.connect(this.analyser);
+            this.analyser.connect(this.context.destination);
+            return true;
+        } catch (error) {
+            console.log('Audio analyser unavailable:', error);
+            this.context = null;
+            return false;
+        }
+    }
+
+    start() {
+        if (!this.setupGraph()) return;
+
+        if (this.context.state === 'suspended') {
+            this.context.resume().catch(error => console.log('Audio context resume failed:', error));
+        }
+        if (this.frameId === null) {
+            this.tick();
+        }
+    }
+
+    stop() {
+        if (this.frameId !== null) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+        }
+        this.levels = { bass: 0, mid: 0, treble: 0, amplitude: 0 };
+        this.bassHistory = [];
+        this.notify();
+    }
+
+    /**
+     * Subscribes to per-frame levels; returns an unsubscribe function
+     * @param {(levels: {bass: number, mid: number, treble: number, amplitude: number}, spectrum: Uint8Array|null) => void} callback
+     */
+    onFrame(callback) {
+        this.listeners.add(callback);
+        return () => this.listeners.delete(callback);
+    }
+
+    notify() {
+        this.listeners.forEach(callback => callback(this.levels, this.frameId !== null ? this.frequencyData : null));
+    }
+
+    tick() {
+        this.analyser.getByteFrequencyData(this.frequencyData);
+        this.levels = {
+            bass: this.getBandEnergy(20, 250),
+            mid: this.getBandEnergy(250, 2000),
+            treble: this.getBandEnergy(2000, 16000),
+            amplitude: this.getBandEnergy(20, 16000)
+        };
+
+        this.detectBeat();
+        this.notify();
+        this.frameId = requestAnimationFrame(() => this.tick());
+    }
+
+    getBandEnergy(fromHz, toHz) {
+        const binWidth = this.context.sampleRate / this.fftSize;
+        const from = Math.max(0, Math.floor(fromHz / binWidth));
+        const to = Math.min(this.frequencyData.length - 1, Math.ceil(toHz / binWidth));
+        let sum = 0;
+
+        for (let i = from; i <= to; i++) {
+            sum += this.frequencyData[i];
+        }
+        return to >= from ? sum / ((to - from + 1) * 255) : 0;
+    }
+
+    detectBeat() {
+        const { bass } = this.levels;
+        const average = this.bassHistory.length > 0
+            ? this.bassHistory.reduce((sum, value) => sum + value, 0) / this.bassHistory.length
+            : bass;
+
+        this.bassHistory.push(bass);
+        if (this.bassHistory.length > this.historySize) {
+            this.bassHistory.shift();
+        }
+
+        // A beat is a bass spike well above the recent average, with a cooldown against double hits
+        const now = performance.now();
+        const isSpike = bass > 0.3 && bass > average * this.beatThreshold;
+        if (isSpike && now - this.lastBeatAt > this.beatCooldown) {
+            this.lastBeatAt = now;
+            document.dispatchEvent(new CustomEvent('music:beat', {
+                detail: {
+                    strength: Math.min((bass - average) / Math.max(average, 0.01), 1),
+                    levels: { ...this.levels }
+                }
+            }));
+        }
+    }
+}
+
+/**
+ * AudioVisuals - Avatar glow pulse and the optional spectrum bar inside the music player
+ * Switched off with the "animations" effect; the analyser keeps running for beat events
+ */
+class AudioVisuals {
+    constructor(analyser, options = {}) {
+        this.analyser = analyser;
+        this.glow = document.querySelector('.avatar-glow');
+        this.spectrumBars = options.spectrumBars || 24;
+        this.canvas = null;
+        this.unsubscribe = null;
+
+        if (options.spectrum) {
+            this.createSpectrum();
+        }
+        this.setEnabled(true);
+    }
+
+    /**
+     * Off: stops rendering and leaves the glow and spectrum at rest, since
+     * [data-motion="reduced"] only covers CSS animations, not these per-frame variables
+     */
+    setEnabled(enabled) {
+        if (enabled === (this.unsubscribe !== null)) return;
+
+        if (enabled) {
+            this.unsubscribe = this.analyser.onFrame((levels, spectrum) => this.render(levels, spectrum));
+        } else {
+            this.unsubscribe();
+            this.unsubscribe = null;
+            this.render({ bass: 0, mid: 0, treble: 0, amplitude: 0 }, null);
+        }
+    }
+
+    createSpectrum() {
+        const player = document.querySelector('.music-player');
+        if (!player) return;
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'music-spectrum';
+        this.canvas.width = 190;
+        this.canvas.height = 24;
+        this.canvas.setAttribute('aria-hidden', 'true');
+        this.ctx = this.canvas.getContext('2d');
+
+        const timeline = player.querySelector('.music-timeline');
+        player.insertBefore(this.canvas, timeline);
+    }
+
+    render(levels, spectrum) {
+        if (this.glow) {
+            this.glow.style.setProperty('--audio-level', levels.amplitude.toFixed(3));
+            this.glow.style.setProperty('--audio-bass', levels.bass.toFixed(3));
+        }
+        if (this.canvas && this.ctx) {
+            this.drawSpectrum(spectrum);
+        }
+    }
+
+    drawSpectrum(spectrum) {
+        const { width, height } = this.canvas;
+        this.ctx.clearRect(0, 0, width, height);
+        if (!spectrum) return;
+
+        // Only the lower ~60% of bins carry audible music; the rest is mostly silence
+        const usable = Math.floor(spectrum.length * 0.6);
+        const binsPerBar = Math.max(1, Math.floor(usable / this.spectrumBars));
+        const barWidth = width / this.spectrumBars;
+
+        for (let bar = 0; bar < this.spectrumBars; bar++) {
+            let sum = 0;
+            for (let i = 0; i < binsPerBar; i++) {
+                sum += spectrum[bar * binsPerBar + i];
+            }
+            const value = sum / (binsPerBar * 255);
+            const barHeight = Math.max(1, value * height);
+
+            this.ctx.fillStyle = `rgba(136, 136, 136, ${0.3 + value * 0.7})`;
+            this.ctx.fillRect(bar * barWidth + 1, height - barHeight, barWidth - 2, barHeight);
+        }
+    }
+}
@@ -0,0 +1,142 @@
+// Недельное расписание доступности из profile.json (секция availability).
+// Всё считается в «минутах недели» в часовом поясе владельца: пн 00:00 = 0.
+
+const MINUTES_PER_DAY = 24 * 60;
+const MINUTES_PER_WEEK = 7 * MINUTES_PER_DAY;
+const WEEKDAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
+class AvailabilitySchedule {
+    /**
+     * @param {{ timezone?: string, schedule: Array<{ days: string[]|string, from: string, to: string }> }} config
+     *   days: ["mon", "tue"] или "mon-fri"; to <= from означает переход через полночь
+     */
+    constructor({ timezone = null, schedule = [] } = {}) {
+        this.timezone = this.isValidTimezone(timezone) ? timezone : null;
+        this.intervals = this.buildIntervals(schedule);
+        this.formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone: this.timezone || undefined,
+            weekday: 'short',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        });
+    }
+
+    isValidTimezone(timezone) {
+        if (!timezone) return false;
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+            return true;
+        } catch (error) {
+            console.log('Неизвестный часовой пояс в расписании:', timezone);
+            return false;
+        }
+    }
+
+    parseDays(days) {
+        const list = Array.isArray(days) ? days : String(days).split(',');
+        const result = new Set();
+
+        list.forEach(entry => {
+            const [from, to] = String(entry).trim().toLowerCase().split('-').map(day => WEEKDAYS.indexOf(day.slice(0, 3)));
+            if (from === -1 || to === -1) return;
+            if (to === undefined) {
+                result.add(from);
+                return;
+            }
+            for (let day = from; ; day = (day + 1) % 7) {
+                result.add(day);
+                if (day === to) break;
+            }
+        });
+
+        return [...result];
+    }
+
+    parseTime(time) {
+        const match = /^(\d{1,2}):(\d{2})$/.exec(String(time).trim());
+        if (!match) return null;
+        return Number(match[1]) * 60 + Number(match[2]);
+    }
+
+    buildIntervals(schedule) {
+        const intervals = [];
+        // Кривое расписание в profile.json не должно ронять страницу — просто нет слотов
+        if (!Array.isArray(schedule)) {
+            console.log('availability.schedule должно быть массивом:', schedule);
+            return intervals;
+        }
+
+        schedule.forEach(slot => {
+            if (!slot || typeof slot !== 'object') {
+                console.log('Некорректный слот расписания:', slot);
+                return;
+            }
+            const from = this.parseTime(slot.from);
+            const to = this.parseTime(slot.to);
+            if (from === null || to === null) {
+                console.log('Некорректный слот расписания:', slot);
+                return;
+            }
+            const duration = to > from ? to - from : to + MINUTES_PER_DAY - from;
+
+            this.parseDays(slot.days).forEach(day => {
+                const start = day * MINUTES_PER_DAY + from;
+                intervals.push({ start, end: start + duration });
+            });
+        });
+
+        return intervals;
+    }
+
+    hasSlots() {
+        return this.intervals.length > 0;
+    }
+
+    getMinuteOfWeek(date = new Date()) {
+        const parts = {};
+        this.formatter.formatToParts(date).forEach(part => {
+            parts[part.type] = part.value;
+        });
+
+        const day = WEEKDAYS.indexOf(parts.weekday.toLowerCase().slice(0, 3));
+        return day * MINUTES_PER_DAY + Number(parts.hour) * 60 + Number(parts.minute);
+    }
+
+    isAvailable(date = new Date()) {
+        const now = this.getMinuteOfWeek(date);
+        // Интервал воскресенья может перейти на понедельник следующей недели
+        return this.intervals.some(({ start, end }) =>
+            (now >= start && now < end) || (now + MINUTES_PER_WEEK >= start && now + MINUTES_PER_WEEK < end)
+        );
+    }
+
+    /**
+     * Минуты до начала ближайшего окна: 0, если окно идёт сейчас, null без расписания.
+     */
+    getMinutesUntilAvailable(date = new Date()) {
+        if (!this.hasSlots()) return null;
+        if (this.isAvailable(date)) return 0;
+
+        const now = this.getMinuteOfWeek(date);
+        return Math.min(...this.intervals.map(({ start }) =>
+            (start - now + MINUTES_PER_WEEK) % MINUTES_PER_WEEK
+        ));
+    }
+
+    getHint(date = new Date()) {
+        const minutes = this.getMinutesUntilAvailable(date);
+        if (minutes === null) return '';
+        if (minutes === 0) return i18n.t('schedule.now');
+        return i18n.t('schedule.in', { duration: this.formatDuration(minutes) });
+    }
+
+    formatDuration(minutes) {
+        if (minutes < 60) return i18n.t('duration.minutes', { m: Math.max(minutes, 1) });
+
+        const hours = Math.round(minutes / 60);
+        if (hours < 24) return i18n.t('duration.hours', { h: hours });
+
+        return i18n.t('duration.days', { d: Math.round(hours / 24) });
+    }
+}
@@ -0,0 +1,247 @@
+/**
+ * Tooltip - One shared role="tooltip" element for a group of triggers
+ * Shows on hover and on keyboard focus, links itself to the trigger through
+ * aria-describedby and stays inside the viewport: above the trigger when there
+ * is room, below otherwise, shifted sideways instead of running off an edge
+ */
+let tooltipCount = 0;
+
+class Tooltip {
+    constructor({ gap = 8, margin = 8 } = {}) {
+        this.gap = gap;
+        this.margin = margin;
+        this.trigger = null;
+        this.element = document.createElement('div');
+        this.element.className = 'tooltip';
+        this.element.id = `tooltip-${++tooltipCount}`;
+        this.element.setAttribute('role', 'tooltip');
+        document.body.appendChild(this.element);
+
+        // Escape dismisses the tooltip without moving focus
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.trigger) {
+                this.hide();
+            }
+        });
+        window.addEventListener('scroll', () => this.hide(), { passive: true });
+    }
+
+    /**
+     * @param {Element} trigger
+     * @param {() => string} getText - read on every show, so the text can follow the language
+     */
+    attach(trigger, getText) {
+        trigger.addEventListener('pointerenter', (e) => {
+            // A tap opens the link straight away, a tooltip would only flash
+            if (e.pointerType !== 'touch') {
+                this.show(trigger, getText());
+            }
+        });
+        trigger.addEventListener('pointerleave', () => this.hide(trigger));
+        trigger.addEventListener('focus', () => this.show(trigger, getText()));
+        trigger.addEventListener('blur', () => this.hide(trigger));
+    }
+
+    show(trigger, text) {
+        if (!text) return;
+        if (this.trigger && this.trigger !== trigger) {
+            this.trigger.removeAttribute('aria-describedby');
+        }
+
+        this.trigger = trigger;
+        this.element.textContent = text;
+        trigger.setAttribute('aria-describedby', this.element.id);
+        this.position(trigger);
+        this.element.classList.add('is-visible');
+    }
+
+    /**
+     * @param {Element} [trigger] - only hide if the tooltip still belongs to this trigger
+     */
+    hide(trigger = this.trigger) {
+        if (!this.trigger || trigger !== this.trigger) return;
+
+        this.trigger.removeAttribute('aria-describedby');
+        this.trigger = null;
+        this.element.classList.remove('is-visible');
+    }
+
+    position(trigger) {
+        const anchor = trigger.getBoundingClientRect();
+        const { width, height } = this.element.getBoundingClientRect();
+        const viewportWidth = document.documentElement.clientWidth || window.innerWidth;
+
+        let placement = 'top';
+        let top = anchor.top - height - this.gap;
+        if (top < this.margin) {
+            placement = 'bottom';
+            top = anchor.bottom + this.gap;
+        }
+
+        const center = anchor.left + anchor.width / 2;
+        const maxLeft = Math.max(this.margin, viewportWidth - width - this.margin);
+        const left = Math.min(Math.max(center - width / 2, this.margin), maxLeft);
+
+        this.element.dataset.placement = placement;
+        this.element.style.left = `${Math.round(left)}px`;
+        this.element.style.top = `${Math.round(top)}px`;
+        // The arrow keeps pointing at the trigger even when the box was shifted
+        this.element.style.setProperty('--arrow-x', `${Math.round(center - left)}px`);
+    }
+}
+
+/**
+ * Dialog - Modal dialog: role="dialog", focus kept inside while it is open and
+ * returned to the opener on close; Escape, the close button and a click on the
+ * backdrop all close it. Content goes into dialog.body before open()
+ */
+class Dialog {
+    /**
+     * @param {{ label: string, className?: string, onClose?: () => void }} options
+     */
+    constructor({ label, className = '', onClose = null } = {}) {
+        this.onClose = onClose;
+        this.previousFocus = null;
+        this.inertElements = [];
+        this.isOpen = false;
+
+        this.overlay = document.createElement('div');
+        this.overlay.className = `dialog-overlay ${className}`.trim();
+
+        this.body = document.createElement('div');
+        this.body.className = 'modal-content';
+        this.body.setAttribute('role', 'dialog');
+        this.body.setAttribute('aria-modal', 'true');
+        this.body.setAttribute('aria-label', label);
+        this.body.tabIndex = -1;
+
+        this.closeButton = document.createElement('button');
+        this.closeButton.className = 'modal-close';
+        this.closeButton.setAttribute('aria-label', i18n.t('dialog.close'));
+        this.closeButton.textContent = '×';
+
+        this.body.appendChild(this.closeButton);
+        this.overlay.appendChild(this.body);
+
+        this.closeButton.addEventListener('click', () => this.close());
+        this.overlay.addEventListener('click', (e) => {
+            if (e.target === this.overlay) {
+                this.close();
+            }
+        });
+        this.overlay.addEventListener('keydown', (e) => this.handleKeydown(e));
+    }
+
+    open() {
+        if (this.isOpen) return;
+        this.isOpen = true;
+        this.previousFocus = document.activeElement;
+
+        document.body.appendChild(this.overlay);
+
+        // Everything behind the dialog leaves the tab order and the accessibility tree
+        this.inertElements = Array.from(document.body.children).filter(element =>
+            element !== this.overlay && !element.inert
+        );
+        this.inertElements.forEach(element => {
+            element.inert = true;
+        });
+
+        const [first] = this.getFocusable();
+        (first || this.body).focus();
+    }
+
+    close() {
+        if (!this.isOpen) return;
+        this.isOpen = false;
+
+        this.inertElements.forEach(element => {
+            element.inert = false;
+        });
+        this.inertElements = [];
+
+        this.overlay.classList.add('is-closing');
+        setTimeout(() => {
+            this.overlay.classList.remove('is-closing');
+            this.overlay.remove();
+        }, 300);
+
+        if (this.previousFocus && typeof this.previousFocus.focus === 'function' && this.previousFocus.isConnected) {
+            this.previousFocus.focus();
+        }
+        this.previousFocus = null;
+
+        if (this.onClose) {
+            this.onClose();
+        }
+    }
+
+    handleKeydown(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.close();
+            return;
+        }
+        if (e.key !== 'Tab') return;
+
+        // Browsers without inert could still tab out, so focus wraps around by hand
+        const focusable = this.getFocusable();
+        if (focusable.length === 0) {
+            e.preventDefault();
+            this.body.focus();
+            return;
+        }
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (e.shiftKey && (document.activeElement === first || document.activeElement === this.body)) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    getFocusable() {
+        return Array.from(this.body.querySelectorAll(Dialog.focusableSelector))
+            .filter(element => !element.hidden && !element.closest('[hidden]'));
+    }
+}
+
+Dialog.focusableSelector = [
+    'a[href]',
+    'button:not([disabled])',
+    'input:not([disabled])',
+    'select:not([disabled])',
+    'textarea:not([disabled])',
+    '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+/**
+ * Toast - Short message at the top of the screen that hides itself
+ * A role="status" live region, so screen readers announce it as well
+ */
+class Toast {
+    constructor({ duration = 2500 } = {}) {
+        this.duration = duration;
+        this.timer = null;
+        this.element = document.createElement('div');
+        this.element.className = 'toast';
+        this.element.setAttribute('role', 'status');
+        this.element.setAttribute('aria-live', 'polite');
+        document.body.appendChild(this.element);
+    }
+
+    show(text) {
+        clearTimeout(this.timer);
+        this.element.textContent = text;
+        this.element.classList.add('is-visible');
+        this.timer = setTimeout(() => this.hide(), this.duration);
+    }
+
+    hide() {
+        clearTimeout(this.timer);
+        this.element.classList.remove('is-visible');
+    }
+}
@@ -0,0 +1,133 @@
+/**
+ * EffectsManager - Decides which effects run: custom cursor, particles, card tilt,
+ * interface sounds and CSS animations
+ * "auto" follows prefers-reduced-motion, "reduced" turns every effect off and "full"
+ * keeps the individual toggles. Fires "effects:change" on document
+ */
+class EffectsManager {
+    constructor() {
+        this.storageKey = 'bio:effects';
+        this.motionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+        this.select = document.getElementById('effects-select');
+        this.toggles = Array.from(document.querySelectorAll('[data-effect-toggle]'));
+
+        const saved = this.loadSettings();
+        this.mode = saved.mode;
+        this.disabled = new Set(saved.disabled);
+        this.init();
+    }
+
+    init() {
+        this.setupControls();
+        this.apply();
+
+        this.motionQuery.addEventListener('change', () => {
+            if (this.mode === 'auto') {
+                this.apply();
+            }
+        });
+    }
+
+    loadSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+            return {
+                mode: EffectsManager.modes.includes(saved.mode) ? saved.mode : 'auto',
+                disabled: Array.isArray(saved.disabled) ? saved.disabled.filter(name => EffectsManager.effects.includes(name)) : []
+            };
+        } catch (error) {
+            return { mode: 'auto', disabled: [] };
+        }
+    }
+
+    saveSettings() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                mode: this.mode,
+                disabled: [...this.disabled]
+            }));
+        } catch (error) {
+            console.log('Effects settings could not be saved:', error);
+        }
+    }
+
+    isReduced() {
+        return this.mode === 'reduced' || (this.mode === 'auto' && this.motionQuery.matches);
+    }
+
+    isEnabled(effect) {
+        return !this.isReduced() && !this.disabled.has(effect);
+    }
+
+    setMode(mode) {
+        if (!EffectsManager.modes.includes(mode)) return;
+
+        this.mode = mode;
+        this.saveSettings();
+        this.apply();
+    }
+
+    setEnabled(effect, enabled) {
+        if (!EffectsManager.effects.includes(effect)) return;
+
+        if (enabled) {
+            this.disabled.delete(effect);
+        } else {
+            this.disabled.add(effect);
+        }
+        this.saveSettings();
+        this.apply();
+    }
+
+    setupControls() {
+        if (this.select) {
+            EffectsManager.modes.forEach(mode => {
+                const option = document.createElement('option');
+                option.value = mode;
+                this.select.appendChild(option);
+            });
+            this.labelOptions();
+            this.select.addEventListener('change', () => this.setMode(this.select.value));
+            document.addEventListener('i18n:change', () => this.labelOptions());
+        }
+
+        this.toggles.forEach(toggle => {
+            toggle.addEventListener('change', () => this.setEnabled(toggle.dataset.effectToggle, toggle.checked));
+        });
+    }
+
+    labelOptions() {
+        Array.from(this.select.options).forEach(option => {
+            option.textContent = i18n.t(`effects.${option.value}`);
+        });
+    }
+
+    apply() {
+        const reduced = this.isReduced();
+
+        // CSS drops animations and transitions under [data-motion="reduced"]
+        document.documentElement.dataset.motion = this.isEnabled('animations') ? 'full' : 'reduced';
+
+        if (this.select) {
+            this.select.value = this.mode;
+        }
+        this.toggles.forEach(toggle => {
+            toggle.checked = this.isEnabled(toggle.dataset.effectToggle);
+            toggle.disabled = reduced;
+        });
+
+        document.dispatchEvent(new CustomEvent('effects:change', {
+            detail: { reduced, effects: this.getState() }
+        }));
+    }
+
+    /**
+     * { cursor: true, particles: false, ... } - what each effect should do right now
+     */
+    getState() {
+        return Object.fromEntries(EffectsManager.effects.map(effect => [effect, this.isEnabled(effect)]));
+    }
+}
+
+EffectsManager.modes = ['auto', 'full', 'reduced'];
+EffectsManager.effects = ['cursor', 'particles', 'tilt', 'sounds', 'animations'];
@@ -0,0 +1,336 @@
+/**
+ * I18n - Interface translations (en, ru) and the locale used for dates and times
+ * Language: saved choice, else the first supported entry of navigator.languages, else English
+ * Static markup is translated through data-i18n attributes; components that build
+ * their own text re-render on the "i18n:change" document event
+ */
+class I18n {
+    constructor() {
+        this.storageKey = 'bio:lang';
+        this.catalogs = I18n.catalogs;
+        this.fallback = 'en';
+        this.language = this.getSavedLanguage() || this.detectLanguage();
+    }
+
+    getSavedLanguage() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            return this.catalogs[saved] ? saved : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    detectLanguage() {
+        const preferred = navigator.languages && navigator.languages.length > 0
+            ? navigator.languages
+            : [navigator.language || this.fallback];
+
+        for (const tag of preferred) {
+            const base = String(tag).toLowerCase().split('-')[0];
+            if (this.catalogs[base]) {
+                return base;
+            }
+        }
+        return this.fallback;
+    }
+
+    /**
+     * BCP 47 locale for Intl and toLocale*String, e.g. "ru-RU"
+     */
+    get locale() {
+        return this.catalogs[this.language].locale;
+    }
+
+    /**
+     * Looks up a key in the current catalog (English as fallback) and fills {placeholders}
+     */
+    t(key, params = {}) {
+        const template = this.catalogs[this.language][key] !== undefined
+            ? this.catalogs[this.language][key]
+            : this.catalogs[this.fallback][key];
+
+        if (template === undefined) {
+            console.log('Missing translation:', key);
+            return key;
+        }
+        return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? params[name] : match));
+    }
+
+    /**
+     * Config values may be plain strings or per-language objects: { "en": "...", "ru": "..." }
+     */
+    pick(value) {
+        if (!value || typeof value !== 'object') return value;
+        return value[this.language] || value[this.fallback] || Object.values(value)[0];
+    }
+
+    /**
+     * Applies the language to the document; called once on startup and on every switch
+     */
+    init() {
+        this.apply();
+        this.setupSwitcher();
+    }
+
+    setLanguage(language) {
+        if (!this.catalogs[language] || language === this.language) return;
+
+        this.language = language;
+        try {
+            localStorage.setItem(this.storageKey, language);
+        } catch (error) {
+            console.log('Language choice could not be saved:', error);
+        }
+
+        this.apply();
+        document.dispatchEvent(new CustomEvent('i18n:change', { detail: { language } }));
+    }
+
+    apply() {
+        document.documentElement.lang = this.language;
+        this.translate(document);
+    }
+
+    /**
+     * data-i18n="key" sets the text, data-i18n-attr="aria-label:key;title:key" sets attributes
+     */
+    translate(root) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+
+        root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+            element.dataset.i18nAttr.split(';').forEach(pair => {
+                const [attribute, key] = pair.split(':').map(part => part.trim());
+                if (attribute && key) {
+                    element.setAttribute(attribute, this.t(key));
+                }
+            });
+        });
+    }
+
+    setupSwitcher() {
+        const select = document.getElementById('lang-select');
+        if (!select || select.options.length > 0) return;
+
+        Object.entries(this.catalogs).forEach(([language, catalog]) => {
+            const option = document.createElement('option');
+            option.value = language;
+            option.textContent = catalog.name;
+            select.appendChild(option);
+        });
+
+        select.value = this.language;
+        select.addEventListener('change', () => this.setLanguage(select.value));
+    }
+}
+
+I18n.catalogs = {
+    en: {
+        name: 'English',
+        locale: 'en-US',
+        'loader.text': 'Loading',
+        'settings.theme': 'Theme',
+        'settings.themeAria': 'Colour theme',
+        'settings.language': 'Language',
+        'settings.title': 'Settings',
+        'settings.effects': 'Effects',
+        'settings.effectsList': 'Effects in use',
+        'effects.auto': 'Match system',
+        'effects.full': 'Full',
+        'effects.reduced': 'Reduced',
+        'effects.cursor': 'Custom cursor',
+        'effects.particles': 'Particles',
+        'effects.tilt': 'Card tilt',
+        'effects.sounds': 'Interface sounds',
+        'effects.animations': 'Animations',
+        'clock.label': 'My local time',
+        'clock.day': 'Daytime here',
+        'clock.night': 'Night-time here',
+        'clock.ahead': '{amount} ahead of you',
+        'clock.behind': '{amount} behind you',
+        'clock.same': 'same time as you',
+        'clock.asleep': 'Probably asleep, replies may be slow',
+        'theme.auto': 'Auto',
+        'theme.dark-crystal': 'Dark crystal',
+        'theme.midnight': 'Midnight',
+        'theme.ember': 'Ember',
+        'theme.frost': 'Frost',
+        'profile.avatarAlt': 'Avatar of {name}',
+        'profile.avatarLabel': 'Profile picture of {name}',
+        'dialog.close': 'Close',
+        'gallery.label': 'Gallery',
+        'gallery.image': 'Gallery image',
+        'gallery.counter': '{index} / {total}',
+        'gallery.previous': 'Previous image',
+        'gallery.next': 'Next image',
+        'gallery.download': 'Download image',
+        'social.nav': 'Social media links',
+        'social.open': 'Open {label}',
+        'social.copy': 'Click to copy {value}',
+        'social.qr': 'Show {label} QR code',
+        'social.copied': 'Copied: {value}',
+        'social.copyFailed': 'Could not copy: {value}',
+        'social.qrLabel': '{label} QR code',
+        'social.qrHint': 'Scan it with your phone camera',
+        'social.qrCopy': 'Copy',
+        'social.qrCopied': 'Copied',
+        'social.qrCopyFailed': 'Could not copy',
+        'social.qrOpen': 'Open',
+        'status.checking': 'Checking...',
+        'status.online': 'Online',
+        'status.idle': 'Away',
+        'status.dnd': 'Busy',
+        'status.offline': 'Offline',
+        'status.unknown': 'Status unknown',
+        'status.scheduled': 'Usually around',
+        'status.lastKnown': 'Last known status: {status}',
+        'status.offlineAgo': 'Offline · {ago}',
+        'status.lastSeen': 'Last seen {ago}',
+        'time.justNow': 'just now',
+        'time.minutesAgo': '{n}m ago',
+        'time.hoursAgo': '{n}h ago',
+        'time.daysAgo': '{n}d ago',
+        'duration.seconds': '{s}s',
+        'duration.minutes': '{m}m',
+        'duration.minutesSeconds': '{m}m {s}s',
+        'duration.hours': '{h}h',
+        'duration.hoursMinutes': '{h}h {m}m',
+        'duration.days': '{d}d',
+        'schedule.now': 'usually around at this time',
+        'schedule.in': 'usually available in ~{duration}',
+        'activity.0': 'Playing',
+        'activity.1': 'Streaming',
+        'activity.2': 'Listening to',
+        'activity.3': 'Watching',
+        'activity.4': 'Status',
+        'activity.5': 'Competing in',
+        'activity.generic': 'Activity',
+        'activity.watchStream': 'Watch stream',
+        'activity.elapsed': 'elapsed {time}',
+        'spotify.label': 'Listening on Spotify',
+        'spotify.aria': 'Listening to {song} by {artist} on Spotify',
+        'roster.title': 'Team',
+        'roster.listening': 'Listening to {song} — {artist}',
+        'music.region': 'Music player',
+        'music.defaultTitle': 'Background Music',
+        'music.play': 'Play background music',
+        'music.pause': 'Pause background music',
+        'music.previous': 'Previous track',
+        'music.next': 'Next track',
+        'music.shuffle': 'Shuffle',
+        'music.repeatAll': 'Repeat playlist',
+        'music.repeatOne': 'Repeat current track',
+        'music.repeatOff': 'Repeat off',
+        'music.seek': 'Seek',
+        'music.volume': 'Volume',
+        'sound.mute': 'Mute all sound',
+        'sound.unmute': 'Unmute all sound',
+        'sound.effects': 'Interface sounds'
+    },
+    ru: {
+        name: 'Русский',
+        locale: 'ru-RU',
+        'loader.text': 'Загрузка',
+        'settings.theme': 'Тема',
+        'settings.themeAria': 'Цветовая тема',
+        'settings.language': 'Язык',
+        'settings.title': 'Настройки',
+        'settings.effects': 'Эффекты',
+        'settings.effectsList': 'Включённые эффекты',
+        'effects.auto': 'Как в системе',
+        'effects.full': 'Все',
+        'effects.reduced': 'Минимум',
+        'effects.cursor': 'Свой курсор',
+        'effects.particles': 'Частицы',
+        'effects.tilt': 'Наклон карточки',
+        'effects.sounds': 'Звуки интерфейса',
+        'effects.animations': 'Анимации',
+        'clock.label': 'Моё местное время',
+        'clock.day': 'Здесь день',
+        'clock.night': 'Здесь ночь',
+        'clock.ahead': 'на {amount} впереди вас',
+        'clock.behind': 'на {amount} позади вас',
+        'clock.same': 'как у вас',
+        'clock.asleep': 'Скорее всего сплю, отвечу позже',
+        'theme.auto': 'Авто',
+        'theme.dark-crystal': 'Тёмный кристалл',
+        'theme.midnight': 'Полночь',
+        'theme.ember': 'Угли',
+        'theme.frost': 'Иней',
+        'profile.avatarAlt': 'Аватар {name}',
+        'profile.avatarLabel': 'Фото профиля {name}',
+        'dialog.close': 'Закрыть',
+        'gallery.label': 'Галерея',
+        'gallery.image': 'Изображение из галереи',
+        'gallery.counter': '{index} / {total}',
+        'gallery.previous': 'Предыдущее изображение',
+        'gallery.next': 'Следующее изображение',
+        'gallery.download': 'Скачать изображение',
+        'social.nav': 'Ссылки на соцсети',
+        'social.open': 'Открыть {label}',
+        'social.copy': 'Нажмите, чтобы скопировать {value}',
+        'social.qr': 'Показать QR-код {label}',
+        'social.copied': 'Скопировано: {value}',
+        'social.copyFailed': 'Не удалось скопировать: {value}',
+        'social.qrLabel': 'QR-код {label}',
+        'social.qrHint': 'Наведите на него камеру телефона',
+        'social.qrCopy': 'Копировать',
+        'social.qrCopied': 'Скопировано',
+        'social.qrCopyFailed': 'Не удалось скопировать',
+        'social.qrOpen': 'Открыть',
+        'status.checking': 'Проверка...',
+        'status.online': 'В сети',
+        'status.idle': 'Отошёл',
+        'status.dnd': 'Не беспокоить',
+        'status.offline': 'Не в сети',
+        'status.unknown': 'Статус неизвестен',
+        'status.scheduled': 'Обычно на связи',
+        'status.lastKnown': 'Последний известный статус: {status}',
+        'status.offlineAgo': 'Не в сети · {ago}',
+        'status.lastSeen': 'Последний раз в сети {ago}',
+        'time.justNow': 'только что',
+        'time.minutesAgo': '{n} мин назад',
+        'time.hoursAgo': '{n} ч назад',
+        'time.daysAgo': '{n} д назад',
+        'duration.seconds': '{s} с',
+        'duration.minutes': '{m} мин',
+        'duration.minutesSeconds': '{m} мин {s} с',
+        'duration.hours': '{h} ч',
+        'duration.hoursMinutes': '{h} ч {m} мин',
+        'duration.days': '{d} д',
+        'schedule.now': 'обычно на связи в это время',
+        'schedule.in': 'обычно появляется через ~{duration}',
+        'activity.0': 'Играет в',
+        'activity.1': 'Стримит',
+        'activity.2': 'Слушает',
+        'activity.3': 'Смотрит',
+        'activity.4': 'Статус',
+        'activity.5': 'Соревнуется в',
+        'activity.generic': 'Активность',
+        'activity.watchStream': 'Смотреть стрим',
+        'activity.elapsed': 'уже {time}',
+        'spotify.label': 'Слушает Spotify',
+        'spotify.aria': 'Слушает {song} — {artist} в Spotify',
+        'roster.title': 'Команда',
+        'roster.listening': 'Слушает {song} — {artist}',
+        'music.region': 'Музыкальный плеер',
+        'music.defaultTitle': 'Фоновая музыка',
+        'music.play': 'Включить фоновую музыку',
+        'music.pause': 'Поставить музыку на паузу',
+        'music.previous': 'Предыдущий трек',
+        'music.next': 'Следующий трек',
+        'music.shuffle': 'Перемешать',
+        'music.repeatAll': 'Повторять плейлист',
+        'music.repeatOne': 'Повторять трек',
+        'music.repeatOff': 'Без повтора',
+        'music.seek': 'Перемотка',
+        'music.volume': 'Громкость',
+        'sound.mute': 'Выключить весь звук',
+        'sound.unmute': 'Включить звук',
+        'sound.effects': 'Звуки интерфейса'
+    }
+};
+
+const i18n = new I18n();
@@ -1,107 +1,142 @@
-// Простая интеграция через Lanyard API (самый простой способ)
+// Отображение статуса Discord на странице. Данные приходят от presence-провайдера
+// (см. presence-providers.js) уже в нормализованном виде.
 class LanyardIntegration {
-    constructor(userId) {
-        this.userId = userId;
-        this.websocket = null;
-        this.reconnectAttempts = 0;
-        this.maxReconnectAttempts = 5;
-        this.init();
+    constructor(provider, { schedule = null, roster = null, kvFields = null, record = false } = {}) {
+        this.provider = provider;
+        this.roster = roster;
+        this.kvFields = kvFields;
+        this.schedule = schedule && schedule.hasSlots() ? schedule : null;
+        this.currentStatus = null;
+        this.currentStale = false;
+        this.hintTimer = null;
+        this.fallbackTimer = null;
+        this.connectionState = null;
+        this.spotifyCard = null;
+        this.activityList = null;
+        this.cache = new PresenceCache();
+        this.recorder = null;
+        this.lastRender = null;
+        this.init(record);
     }
 
-    async init() {
-        try {
-            await this.fetchInitialStatus();
-            this.connectWebSocket();
-        } catch (error) {
-            console.log('Lanyard API недоступен, используем fallback');
-            this.useFallback();
+    init(record) {
+        // До первых живых данных показываем последний известный статус, а не разметку
+        this.showCachedPresence();
+        if (record) {
+            this.startRecording();
+        }
+        this.startProvider();
+
+        if (this.schedule) {
+            this.hintTimer = setInterval(() => this.updateAvailabilityHint(), 60000);
         }
+
+        // Все подписи строятся из переводов, при смене языка просто перерисовываем
+        document.addEventListener('i18n:change', () => {
+            if (this.lastRender) {
+                this.updateStatus(this.lastRender.presence, { lastSeen: this.lastRender.lastSeen });
+            }
+            if (this.roster) {
+                this.roster.localize();
+            }
+        });
     }
 
-    async fetchInitialStatus() {
-        try {
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 5000); // 5 second timeout
-
-            const response = await fetch(`https://api.lanyard.rest/v1/users/${this.userId}`, {
-                signal: controller.signal
-            });
-            clearTimeout(timeoutId);
-
-            if (response.ok) {
-                const data = await response.json();
-                if (data.success) {
-                    this.updateStatus(data.data);
-                    return true;
+    startProvider() {
+        this.provider.start({
+            onPresence: (presence, userId) => this.handlePresence(presence, userId),
+            onState: (state) => this.handleConnectionState(state),
+            onFrame: (frame) => {
+                if (this.recorder) {
+                    this.recorder.record(frame);
                 }
             }
-        } catch (error) {
-            if (error.name === 'AbortError') {
-                console.log('Lanyard API request timed out');
-            } else {
-                console.log('Ошибка получения статуса:', error);
-            }
+        });
+    }
+
+    /**
+     * Заменяет источник данных на лету, например на ReplayPresenceProvider.
+     */
+    setProvider(provider) {
+        this.provider.stop();
+        this.stopFallback();
+        this.provider = provider;
+        this.connectionState = null;
+        this.startProvider();
+    }
+
+    startRecording() {
+        this.recorder = new PresenceRecorder({ userId: this.provider.userId || null });
+
+        // Запись, начатая посреди сессии, открывается текущим состоянием
+        const snapshot = this.provider.getSnapshotFrame ? this.provider.getSnapshotFrame() : null;
+        if (snapshot) {
+            this.recorder.record(snapshot);
         }
-        return false;
+        console.log('Запись presence-кадров начата');
+        return this.recorder;
     }
 
-    connectWebSocket() {
-        this.websocket = new WebSocket('wss://api.lanyard.rest/socket');
+    stopRecording() {
+        const recorder = this.recorder;
+        this.recorder = null;
+        if (recorder) {
+            console.log(`Запись остановлена, кадров: ${recorder.frames.length}`);
+        }
+        return recorder;
+    }
 
-        this.websocket.onopen = () => {
-            console.log('Подключен к Lanyard WebSocket');
-            this.reconnectAttempts = 0;
-            
-            // Подписываемся на обновления пользователя
-            this.websocket.send(JSON.stringify({
-                op: 2,
-                d: {
-                    subscribe_to_id: this.userId
-                }
-            }));
-        };
-
-        this.websocket.onmessage = (event) => {
-            const data = JSON.parse(event.data);
-            console.log('WebSocket сообщение:', data);
-            
-            if (data.op === 1) {
-                // Отвечаем на heartbeat
-                this.websocket.send(JSON.stringify({ op: 3 }));
-            } else if (data.t === 'INIT_STATE' || data.t === 'PRESENCE_UPDATE') {
-                this.updateStatus(data.d);
-            }
-        };
+    downloadRecording() {
+        if (!this.recorder) {
+            console.log('Запись presence не ведётся');
+            return;
+        }
+        this.recorder.download();
+    }
 
-        this.websocket.onclose = (event) => {
-            console.log('Соединение с Lanyard закрыто', event.code, event.reason);
-            if (!event.wasClean) {
-                this.attemptReconnect();
-            }
-        };
-
-        this.websocket.onerror = (error) => {
-            console.log('Ошибка WebSocket:', error);
-            // Don't attempt reconnect here, let onclose handle it
-        };
-    }
-
-    attemptReconnect() {
-        if (this.reconnectAttempts < this.maxReconnectAttempts) {
-            this.reconnectAttempts++;
-            console.log(`Попытка переподключения ${this.reconnectAttempts}/${this.maxReconnectAttempts}`);
-            
-            setTimeout(() => {
-                this.connectWebSocket();
-            }, 3000 * this.reconnectAttempts);
-        } else {
-            console.log('Максимум попыток переподключения достигнут, используем fallback');
+    handlePresence(presence, userId = null) {
+        if (this.roster) {
+            this.roster.update(userId || this.provider.userId, presence);
+        }
+        // Обновления других участников идут только в ростер
+        if (userId) return;
+
+        this.stopFallback();
+        if (this.provider.cacheable) {
+            this.cache.save(presence);
+        }
+        this.updateStatus(presence);
+        document.dispatchEvent(new CustomEvent('presence:update', { detail: { presence } }));
+    }
+
+    handleConnectionState(state) {
+        if (state === 'unavailable') {
+            console.log('Источник статуса долго недоступен, используем fallback до восстановления');
             this.useFallback();
         }
+        // Пока работает fallback, промежуточные попытки переподключения не показываем
+        this.setConnectionState(this.fallbackTimer && state !== 'live' ? 'fallback' : state);
     }
 
-    updateStatus(userData) {
-        console.log('Обновляем статус:', userData);
+    setConnectionState(state) {
+        if (this.connectionState === state) return;
+        this.connectionState = state;
+
+        const indicator = document.querySelector('.status-indicator');
+        if (indicator) {
+            indicator.dataset.connection = state;
+        }
+        this.updateAvailabilityHint();
+
+        document.dispatchEvent(new CustomEvent('presence:connection', { detail: { state } }));
+    }
+
+    /**
+     * lastSeen передаётся для данных из кэша: статус помечается устаревшим,
+     * а активности скрываются, потому что о текущих мы ничего не знаем.
+     */
+    updateStatus(presence, { lastSeen = null } = {}) {
+        console.log('Обновляем статус:', presence);
         
         const statusDot = document.querySelector('.status-dot');
         const statusText = document.querySelector('.status-text');
@@ -111,120 +146,686 @@ class LanyardIntegration {
             return;
         }
 
-        const status = userData.discord_status;
-        const activities = userData.activities || [];
+        const status = presence.status;
+        const activities = presence.activities;
+        this.lastRender = { presence, lastSeen };
         
         console.log('Discord статус:', status, 'Активности:', activities);
 
-        const statusConfig = {
-            online: { color: '#555', text: 'Online', shadow: '0 0 5px #555' },
-            idle: { color: '#666', text: 'Away', shadow: '0 0 5px #666' },
-            dnd: { color: '#777', text: 'Busy', shadow: '0 0 5px #777' },
-            offline: { color: '#333', text: 'Offline', shadow: '0 0 5px #333' }
-        };
+        const knownStatuses = ['online', 'idle', 'dnd', 'offline', 'unknown', 'scheduled'];
+        const shownStatus = knownStatuses.includes(status) ? status : 'offline';
+        const label = i18n.t(`status.${shownStatus}`);
+        const isStale = lastSeen !== null;
 
-        const config = statusConfig[status] || statusConfig.offline;
-        
-        statusDot.style.background = config.color;
-        statusDot.style.boxShadow = config.shadow;
-        statusText.textContent = config.text;
-        statusText.style.color = config.color;
+        statusText.textContent = isStale ? this.getLastSeenText(status, lastSeen) : label;
+
+        // Цвета статусов задаёт тема: .status-indicator[data-status] в style.css
+        const indicator = statusDot.closest('.status-indicator');
+        if (indicator) {
+            indicator.dataset.status = shownStatus;
+            indicator.toggleAttribute('data-stale', isStale || status === 'unknown' || status === 'scheduled');
+            indicator.title = isStale ? i18n.t('status.lastKnown', { status: label }) : '';
+        }
+
+        this.currentStatus = status;
+        this.currentStale = isStale;
+        this.updateAvailabilityHint();
+
+        if (this.kvFields) {
+            this.kvFields.update(presence.kv);
+        }
 
         // Обновляем активность
-        this.updateActivity(activities, status);
+        const isLive = !isStale && status !== 'offline' && status !== 'unknown';
+        this.updateSpotify(isLive ? presence.spotify : null);
+        this.updateActivity(activities, isLive ? status : 'offline');
+    }
+
+    getLastSeenText(status, lastSeen) {
+        const ago = formatTimeAgo(Date.now() - lastSeen);
+        return i18n.t(status === 'offline' ? 'status.offlineAgo' : 'status.lastSeen', { ago });
+    }
+
+    showCachedPresence() {
+        const cached = this.cache.load();
+        if (cached) {
+            this.updateStatus(cached.presence, { lastSeen: cached.savedAt });
+            return;
+        }
+
+        // Живых данных и кэша нет: опираемся только на объявленное расписание
+        const status = this.schedule && this.schedule.isAvailable() ? 'scheduled' : 'unknown';
+        this.updateStatus({ status, activities: [], spotify: null });
+    }
+
+    /**
+     * Подсказка из расписания рядом со статусом, пока владелец не в сети.
+     */
+    updateAvailabilityHint() {
+        const statusText = document.querySelector('.status-text');
+        if (!statusText) return;
+
+        let hint = statusText.parentElement.querySelector('.status-hint');
+        // Расписание подменяет живой статус, когда его нет: владелец не в сети,
+        // статус неизвестен или показан устаревший из кэша (fallback, stale)
+        const isLiveUnavailable = this.currentStale ||
+            ['stale', 'fallback', 'unavailable'].includes(this.connectionState);
+        const isAway = this.currentStatus === 'offline' || this.currentStatus === 'unknown' || isLiveUnavailable;
+        const text = this.schedule && isAway ? this.schedule.getHint() : '';
+
+        if (!text) {
+            if (hint) hint.remove();
+            return;
+        }
+
+        if (!hint) {
+            hint = document.createElement('span');
+            hint.className = 'status-hint';
+            statusText.after(hint);
+        }
+        hint.textContent = `· ${text}`;
+    }
+
+    updateSpotify(spotify) {
+        if (!this.spotifyCard) {
+            const container = document.querySelector('.profile-info');
+            if (!container) return;
+            this.spotifyCard = new SpotifyCard(container);
+        }
+        this.spotifyCard.update(spotify);
     }
 
     updateActivity(activities, status) {
-        let activityElement = document.querySelector('.discord-activity');
-        
-        if (!activityElement) {
-            activityElement = document.createElement('div');
-            activityElement.className = 'discord-activity';
-            document.querySelector('.profile-info').appendChild(activityElement);
-        }
-
-        // Ищем игру или другую активность (исключаем Spotify и Custom Status)
-        const gameActivity = activities.find(activity => 
-            activity.type === 0 && // Playing
-            activity.name !== 'Spotify' &&
-            activity.name !== 'Custom Status'
-        );
-
-        const customStatus = activities.find(activity => 
-            activity.type === 4 // Custom Status
-        );
-
-        const spotifyActivity = activities.find(activity => 
-            activity.name === 'Spotify'
-        );
-
-        if (gameActivity && status !== 'offline') {
-            activityElement.innerHTML = `
-                <div class="activity-info">
-                    <span class="activity-type">Playing</span>
-                    <span class="activity-name">${gameActivity.name}</span>
-                    ${gameActivity.details ? `<span class="activity-details">${gameActivity.details}</span>` : ''}
-                </div>
-            `;
-            activityElement.style.display = 'block';
-        } else if (spotifyActivity && status !== 'offline') {
-            activityElement.innerHTML = `
-                <div class="activity-info">
-                    <span class="activity-type">Listening to</span>
-                    <span class="activity-name">Spotify</span>
-                    ${spotifyActivity.details ? `<span class="activity-details">${spotifyActivity.details} - ${spotifyActivity.state}</span>` : ''}
-                </div>
-            `;
-            activityElement.style.display = 'block';
-        } else if (customStatus && customStatus.state && status !== 'offline') {
-            activityElement.innerHTML = `
-                <div class="activity-info">
-                    <span class="activity-type">Status</span>
-                    <span class="activity-name">${customStatus.emoji ? customStatus.emoji.name + ' ' : ''}${customStatus.state}</span>
-                </div>
-            `;
-            activityElement.style.display = 'block';
-        } else {
-            activityElement.style.display = 'none';
+        if (!this.activityList) {
+            const container = document.querySelector('.profile-info');
+            if (!container) return;
+            this.activityList = new ActivityList(container);
+        }
+
+        if (status === 'offline') {
+            this.activityList.hide();
+            return;
         }
+        // Spotify с данными трека рисует SpotifyCard, здесь его не дублируем
+        this.activityList.update(activities, { hideSpotify: Boolean(this.spotifyCard && this.spotifyCard.track) });
     }
 
     useFallback() {
+        if (this.fallbackTimer) return;
+
+        // Никаких догадок: последний реальный статус с пометкой «last seen» или «unknown»
         console.log('Используем fallback режим');
-        // Простая система fallback на основе времени
-        const updateFallbackStatus = () => {
-            const now = new Date();
-            const hour = now.getHours();
-            let status;
-            
-            if (hour >= 9 && hour <= 23) {
-                status = Math.random() > 0.4 ? 'online' : 'idle';
-            } else {
-                status = Math.random() > 0.8 ? 'dnd' : 'offline';
+        this.showCachedPresence();
+        this.fallbackTimer = setInterval(() => this.showCachedPresence(), 60000); // Обновляем «N ago» каждую минуту
+    }
+
+    stopFallback() {
+        if (this.fallbackTimer) {
+            console.log('Живые данные снова доступны, выходим из fallback');
+            clearInterval(this.fallbackTimer);
+            this.fallbackTimer = null;
+        }
+    }
+
+    destroy() {
+        this.stopFallback();
+        clearInterval(this.hintTimer);
+        this.provider.stop();
+        if (this.spotifyCard) {
+            this.spotifyCard.destroy();
+        }
+        if (this.activityList) {
+            this.activityList.hide();
+        }
+        if (this.roster) {
+            this.roster.destroy();
+        }
+    }
+}
+
+// Список активностей. Всё строится через DOM и textContent: строки из Discord
+// никогда не попадают в разметку как HTML.
+class ActivityList {
+    constructor(container) {
+        this.container = container;
+        this.element = null;
+        this.tickTimer = null;
+    }
+
+    update(activities, { hideSpotify = false } = {}) {
+        const visible = activities
+            .filter(activity => !(hideSpotify && activity.type === 2 && activity.name === 'Spotify'))
+            .filter(activity => activity.type !== 4 || activity.state || activity.emoji)
+            // Кастомный статус показываем первым, как в клиенте Discord
+            .sort((a, b) => (b.type === 4) - (a.type === 4));
+
+        if (!this.element) {
+            this.element = document.querySelector('.discord-activity');
+            if (!this.element) {
+                this.element = document.createElement('div');
+                this.element.className = 'discord-activity';
+                this.container.appendChild(this.element);
+            }
+        }
+
+        this.element.replaceChildren(...visible.map(activity => this.createItem(activity)));
+        this.element.style.display = visible.length > 0 ? 'block' : 'none';
+
+        if (this.element.querySelector('.activity-elapsed')) {
+            this.tick();
+            this.startTicking();
+        } else {
+            this.stopTicking();
+        }
+    }
+
+    createItem(activity) {
+        const item = document.createElement('div');
+        item.className = `activity-item activity-type-${activity.type}`;
+
+        const assets = this.createAssets(activity);
+        if (assets) {
+            item.appendChild(assets);
+        }
+
+        const info = document.createElement('div');
+        info.className = 'activity-info';
+        info.appendChild(this.createText('activity-type', ActivityList.getTypeLabel(activity.type)));
+
+        if (activity.type === 4) {
+            const name = this.createText('activity-name', '');
+            if (activity.emoji) {
+                name.appendChild(this.createEmoji(activity.emoji));
+            }
+            if (activity.state) {
+                name.appendChild(document.createTextNode(activity.state));
+            }
+            info.appendChild(name);
+        } else {
+            info.appendChild(this.createText('activity-name', activity.name));
+            if (activity.details) {
+                info.appendChild(this.createText('activity-details', activity.details));
+            }
+            if (activity.state) {
+                info.appendChild(this.createText('activity-state', activity.state));
             }
-            
-            console.log('Fallback статус:', status);
-            this.updateStatus({ discord_status: status, activities: [] });
-        };
+        }
+
+        const start = activity.timestamps && activity.timestamps.start;
+        if (start) {
+            const elapsed = this.createText('activity-elapsed', '');
+            elapsed.dataset.start = start;
+            info.appendChild(elapsed);
+        }
+
+        const url = this.getSafeUrl(activity.url);
+        if (activity.type === 1 && url) {
+            const link = document.createElement('a');
+            link.className = 'activity-link';
+            link.href = url;
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+            link.textContent = i18n.t('activity.watchStream');
+            info.appendChild(link);
+        }
 
-        updateFallbackStatus();
-        setInterval(updateFallbackStatus, 60000); // Обновляем каждую минуту
+        item.appendChild(info);
+        return item;
+    }
+
+    createAssets(activity) {
+        const assets = activity.assets;
+        if (!assets || !assets.largeImage) return null;
+
+        const wrapper = document.createElement('div');
+        wrapper.className = 'activity-assets';
+
+        const large = this.createImage('activity-large-image', assets.largeImage, assets.largeText);
+        wrapper.appendChild(large);
+
+        if (assets.smallImage) {
+            wrapper.appendChild(this.createImage('activity-small-image', assets.smallImage, assets.smallText));
+        }
+
+        // Если обложка не загрузилась, убираем блок целиком, чтобы не было пустого квадрата
+        large.addEventListener('error', () => wrapper.remove());
+        return wrapper;
+    }
+
+    createImage(className, src, title) {
+        const image = document.createElement('img');
+        image.className = className;
+        image.alt = title || '';
+        image.loading = 'lazy';
+        image.referrerPolicy = 'no-referrer';
+        if (title) {
+            image.title = title;
+        }
+        image.src = this.getSafeUrl(src) || '';
+        return image;
+    }
+
+    createEmoji(emoji) {
+        if (emoji.url) {
+            const image = this.createImage('activity-emoji', emoji.url, `:${emoji.name}:`);
+            image.addEventListener('error', () => image.replaceWith(document.createTextNode(`:${emoji.name}: `)));
+            return image;
+        }
+        return document.createTextNode(`${emoji.name} `);
+    }
+
+    createText(className, text) {
+        const element = document.createElement('span');
+        element.className = className;
+        element.textContent = text;
+        return element;
+    }
+
+    getSafeUrl(url) {
+        return typeof url === 'string' && /^https?:\/\//i.test(url) ? url : null;
+    }
+
+    startTicking() {
+        if (this.tickTimer) return;
+        this.tickTimer = setInterval(() => this.tick(), 1000);
+    }
+
+    stopTicking() {
+        clearInterval(this.tickTimer);
+        this.tickTimer = null;
+    }
+
+    tick() {
+        this.element.querySelectorAll('.activity-elapsed').forEach(element => {
+            element.textContent = i18n.t('activity.elapsed', { time: this.formatElapsed(Date.now() - Number(element.dataset.start)) });
+        });
+    }
+
+    formatElapsed(ms) {
+        const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = totalSeconds % 60;
+
+        if (hours > 0) {
+            return i18n.t('duration.hoursMinutes', { h: hours, m: minutes });
+        }
+        return minutes > 0
+            ? i18n.t('duration.minutesSeconds', { m: minutes, s: seconds })
+            : i18n.t('duration.seconds', { s: seconds });
+    }
+
+    static getTypeLabel(type) {
+        return ActivityList.knownTypes.includes(type) ? i18n.t(`activity.${type}`) : i18n.t('activity.generic');
+    }
+
+    hide() {
+        this.stopTicking();
+        if (this.element) {
+            this.element.replaceChildren();
+            this.element.style.display = 'none';
+        }
+    }
+}
+
+// Типы активностей Discord: 0 Playing, 1 Streaming, 2 Listening, 3 Watching, 4 Custom, 5 Competing.
+// Подписи берутся из i18n.js (activity.N)
+ActivityList.knownTypes = [0, 1, 2, 3, 4, 5];
+
+// Карточка «Now Listening»: обложка, трек и прогресс, который тикает локально
+// между обновлениями presence.
+class SpotifyCard {
+    constructor(container) {
+        this.container = container;
+        this.element = null;
+        this.track = null;
+        this.tickTimer = null;
+        this.swapTimer = null;
+    }
+
+    build() {
+        const card = document.createElement('a');
+        card.className = 'spotify-card';
+        card.target = '_blank';
+        card.rel = 'noopener noreferrer';
+        card.hidden = true;
+
+        const art = document.createElement('img');
+        art.className = 'spotify-art';
+        art.alt = '';
+        art.loading = 'lazy';
+
+        const meta = document.createElement('div');
+        meta.className = 'spotify-meta';
+
+        const label = document.createElement('span');
+        label.className = 'spotify-label';
+
+        const song = document.createElement('span');
+        song.className = 'spotify-song';
+
+        const artist = document.createElement('span');
+        artist.className = 'spotify-artist';
+
+        const album = document.createElement('span');
+        album.className = 'spotify-album';
+
+        const progress = document.createElement('div');
+        progress.className = 'spotify-progress';
+        progress.setAttribute('role', 'progressbar');
+        progress.setAttribute('aria-valuemin', '0');
+        progress.setAttribute('aria-valuemax', '100');
+
+        const fill = document.createElement('div');
+        fill.className = 'spotify-progress-fill';
+        progress.appendChild(fill);
+
+        const times = document.createElement('div');
+        times.className = 'spotify-times';
+
+        const elapsed = document.createElement('span');
+        elapsed.className = 'spotify-elapsed';
+
+        const remaining = document.createElement('span');
+        remaining.className = 'spotify-remaining';
+
+        times.append(elapsed, remaining);
+        meta.append(label, song, artist, album, progress, times);
+        card.append(art, meta);
+
+        this.element = card;
+        this.parts = { art, label, song, artist, album, progress, fill, elapsed, remaining };
+        this.container.appendChild(card);
+    }
+
+    update(spotify) {
+        if (!spotify || !spotify.song) {
+            this.hide();
+            return;
+        }
+        if (!this.element) {
+            this.build();
+        }
+
+        const changed = !this.track || this.getTrackKey(this.track) !== this.getTrackKey(spotify);
+        const wasHidden = this.element.hidden;
+        this.track = spotify;
+        this.element.hidden = false;
+
+        if (changed && !wasHidden) {
+            // Старый трек уезжает, новый появляется после окончания анимации
+            clearTimeout(this.swapTimer);
+            this.element.classList.add('is-leaving');
+            this.swapTimer = setTimeout(() => {
+                this.element.classList.remove('is-leaving');
+                this.render();
+                this.playEnterAnimation();
+            }, 250);
+        } else {
+            this.render();
+            if (changed) {
+                this.playEnterAnimation();
+            }
+        }
+
+        this.startTicking();
+    }
+
+    getTrackKey(track) {
+        return track.trackId || `${track.song}|${track.artist}`;
+    }
+
+    render() {
+        const track = this.track;
+        const { art, label, song, artist, album } = this.parts;
+
+        label.textContent = i18n.t('spotify.label');
+        song.textContent = track.song;
+        // Lanyard разделяет нескольких исполнителей точкой с запятой
+        artist.textContent = track.artist.split(';').map(name => name.trim()).join(', ');
+        album.textContent = track.album;
+        album.hidden = !track.album;
+
+        if (track.albumArtUrl) {
+            art.src = track.albumArtUrl;
+            art.hidden = false;
+        } else {
+            art.removeAttribute('src');
+            art.hidden = true;
+        }
+
+        if (track.trackId) {
+            this.element.href = `https://open.spotify.com/track/${track.trackId}`;
+        } else {
+            this.element.removeAttribute('href');
+        }
+        this.element.setAttribute('aria-label', i18n.t('spotify.aria', { song: track.song, artist: artist.textContent }));
+
+        this.tick();
+    }
+
+    playEnterAnimation() {
+        this.element.classList.remove('is-entering');
+        void this.element.offsetWidth;
+        this.element.classList.add('is-entering');
+    }
+
+    startTicking() {
+        if (this.tickTimer) return;
+        this.tickTimer = setInterval(() => this.tick(), 1000);
+    }
+
+    stopTicking() {
+        clearInterval(this.tickTimer);
+        this.tickTimer = null;
+    }
+
+    tick() {
+        const timestamps = this.track && this.track.timestamps;
+        const { progress, fill, elapsed, remaining } = this.parts;
+
+        if (!timestamps || !timestamps.start || !timestamps.end) {
+            progress.hidden = true;
+            elapsed.textContent = remaining.textContent = '';
+            return;
+        }
+
+        const duration = timestamps.end - timestamps.start;
+        const position = Math.min(Math.max(Date.now() - timestamps.start, 0), duration);
+        const ratio = duration > 0 ? position / duration : 0;
+
+        progress.hidden = false;
+        progress.setAttribute('aria-valuenow', Math.round(ratio * 100).toString());
+        fill.style.transform = `scaleX(${ratio})`;
+        elapsed.textContent = this.formatTime(position);
+        remaining.textContent = `-${this.formatTime(duration - position)}`;
+    }
+
+    formatTime(ms) {
+        const totalSeconds = Math.floor(ms / 1000);
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = totalSeconds % 60;
+        return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+    }
+
+    hide() {
+        this.stopTicking();
+        clearTimeout(this.swapTimer);
+        this.track = null;
+        if (this.element) {
+            this.element.hidden = true;
+            this.element.classList.remove('is-leaving', 'is-entering');
+        }
     }
 
     destroy() {
-        if (this.websocket) {
-            this.websocket.close();
+        this.hide();
+        if (this.element) {
+            this.element.remove();
+            this.element = null;
         }
     }
 }
 
+// Поля профиля из Lanyard KV (presence.kv). Соответствие ключей слотам задаётся
+// в profile.json → kv; без значения в KV слот возвращается к значению из конфига.
+class ProfileKvFields {
+    constructor(profile, fields) {
+        this.profile = profile;
+        this.fields = fields.filter(field => field && field.key);
+        this.rows = new Map();
+        this.maxLength = 200;
+    }
+
+    update(kv = {}) {
+        this.fields.forEach(field => {
+            const raw = kv[field.key];
+            const value = typeof raw === 'string' ? raw.trim().slice(0, this.maxLength) : '';
+
+            if (field.slot === 'location') {
+                this.profile.renderLocation(value || null);
+            } else if (field.slot === 'quote') {
+                this.profile.renderQuote(value || null);
+            } else {
+                this.renderRow(field, value);
+            }
+        });
+    }
+
+    renderRow(field, value) {
+        let row = this.rows.get(field.key);
+
+        if (!row) {
+            const container = this.getContainer();
+            if (!container) return;
+
+            row = document.createElement('div');
+            row.className = 'kv-field';
+            row.dataset.key = field.key;
+
+            if (field.icon) {
+                const icon = document.createElement('span');
+                icon.className = 'kv-icon';
+                icon.setAttribute('aria-hidden', 'true');
+                icon.textContent = field.icon;
+                row.appendChild(icon);
+            }
+
+            const label = document.createElement('span');
+            label.className = 'kv-label';
+
+            const text = document.createElement('span');
+            text.className = 'kv-value';
+
+            row.append(label, text);
+            container.appendChild(row);
+            this.rows.set(field.key, row);
+        }
+
+        // Подпись может быть объектом { en, ru }, поэтому обновляется при каждом рендере
+        row.querySelector('.kv-label').textContent = i18n.pick(field.label) || field.key;
+        row.querySelector('.kv-value').textContent = value;
+        row.hidden = !value;
+    }
+
+    getContainer() {
+        let container = document.querySelector('.kv-fields');
+        if (!container) {
+            const info = document.querySelector('.profile-info');
+            if (!info) return null;
+
+            container = document.createElement('div');
+            container.className = 'kv-fields';
+            const location = info.querySelector('.location');
+            if (location) {
+                location.after(container);
+            } else {
+                info.appendChild(container);
+            }
+        }
+        return container;
+    }
+}
+
+// Последний реальный presence в localStorage. savedAt — время получения кадра
+// (INIT_STATE, PRESENCE_UPDATE или ответ REST). Обрыв соединения или закрытие
+// страницы его не трогают: это сессия посетителя, а не присутствие владельца.
+class PresenceCache {
+    constructor(key = 'bio:last-presence') {
+        this.key = key;
+    }
+
+    save(presence, savedAt = Date.now()) {
+        try {
+            localStorage.setItem(this.key, JSON.stringify({ presence, savedAt }));
+        } catch (error) {
+            console.log('Не удалось сохранить presence в localStorage:', error);
+        }
+    }
+
+    load() {
+        try {
+            const cached = JSON.parse(localStorage.getItem(this.key));
+            if (cached && cached.presence && cached.savedAt) {
+                return cached;
+            }
+        } catch (error) {
+            console.log('Кэш presence повреждён:', error);
+        }
+        return null;
+    }
+}
+
+function formatTimeAgo(ms) {
+    const minutes = Math.floor(ms / 60000);
+    if (minutes < 1) return i18n.t('time.justNow');
+    if (minutes < 60) return i18n.t('time.minutesAgo', { n: minutes });
+
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return i18n.t('time.hoursAgo', { n: hours });
+
+    return i18n.t('time.daysAgo', { n: Math.floor(hours / 24) });
+}
+
 // Простая инициализация
-document.addEventListener('DOMContentLoaded', () => {
-    // Ваш Discord User ID
-    const DISCORD_USER_ID = '1413802676776337469';
-    
-    console.log('Инициализируем Lanyard интеграцию для пользователя:', DISCORD_USER_ID);
-    window.lanyardIntegration = new LanyardIntegration(DISCORD_USER_ID);
+document.addEventListener('DOMContentLoaded', async () => {
+    const profile = await ProfileConfig.load();
+
+    // ?presence=mock позволяет работать со статусом без сети,
+    // ?presence=replay&recording=file.json&speed=10 проигрывает запись,
+    // ?record включает запись gateway-кадров (lanyardIntegration.downloadRecording())
+    const params = new URLSearchParams(window.location.search);
+    const override = params.get('presence');
+    const presenceConfig = override ? { ...profile.presence, provider: override } : profile.presence;
+    if (override === 'replay') {
+        presenceConfig.url = params.get('recording');
+        presenceConfig.speed = params.get('speed') || 1;
+    }
+
+    const memberIds = profile.roster.map(member => member.discordId).filter(Boolean);
+    const provider = window.presenceProvider || createPresenceProvider(presenceConfig, { userId: profile.discordId, memberIds });
+    if (!provider) {
+        console.log('Источник статуса не настроен в profile.json, статус Discord отключён');
+        const indicator = document.querySelector('.status-indicator');
+        if (indicator) {
+            indicator.hidden = true;
+        }
+        return;
+    }
+
+    const schedule = profile.availability ? new AvailabilitySchedule(profile.availability) : null;
+    const rosterContainer = document.querySelector('.profile-container');
+    const roster = memberIds.length > 0 && rosterContainer ? new PresenceRoster(rosterContainer, profile.roster) : null;
+
+    const kvFields = profile.kv.length > 0 ? new ProfileKvFields(profile, profile.kv) : null;
+
+    console.log('Инициализируем presence провайдер:', presenceConfig.provider || 'lanyard');
+    window.lanyardIntegration = new LanyardIntegration(provider, {
+        schedule,
+        roster,
+        kvFields,
+        record: params.has('record')
+    });
 });
 
 window.addEventListener('beforeunload', () => {
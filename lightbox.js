@@ -0,0 +1,333 @@
+/**
+ * Lightbox - Image gallery in a Dialog (components.js)
+ * Images come from profile.json (gallery) and load only when shown; arrows and swipes
+ * switch images, wheel and pinch zoom around the pointer, dragging pans a zoomed image
+ */
+class Lightbox {
+    /**
+     * @param {Array<{ src: string, caption?: string|object, alt?: string|object }>} images
+     */
+    constructor(images = [], { maxScale = 4 } = {}) {
+        this.images = images.filter(image => image && image.src);
+        this.maxScale = maxScale;
+        this.index = 0;
+        this.zoom = { scale: 1, x: 0, y: 0 };
+        this.pointers = new Map();
+        this.prefetched = new Set();
+        this.gesture = null;
+        this.dialog = null;
+        this.elements = {};
+    }
+
+    open(index = 0) {
+        if (this.images.length === 0) return;
+
+        this.dialog = new Dialog({
+            label: i18n.t('gallery.label'),
+            className: 'lightbox-modal',
+            onClose: () => {
+                document.removeEventListener('i18n:change', this.onLanguageChange);
+            }
+        });
+        this.build();
+        this.dialog.open();
+
+        this.onLanguageChange = () => this.render();
+        document.addEventListener('i18n:change', this.onLanguageChange);
+        this.show(index);
+    }
+
+    build() {
+        const body = this.dialog.body;
+        body.classList.add('lightbox');
+
+        const stage = document.createElement('div');
+        stage.className = 'lightbox-stage';
+
+        const image = document.createElement('img');
+        image.className = 'lightbox-image';
+        image.draggable = false;
+        stage.appendChild(image);
+
+        const prevButton = this.createButton('lightbox-prev', '‹', () => this.show(this.index - 1));
+        const nextButton = this.createButton('lightbox-next', '›', () => this.show(this.index + 1));
+
+        const caption = document.createElement('p');
+        caption.className = 'lightbox-caption';
+
+        const counter = document.createElement('span');
+        counter.className = 'lightbox-counter';
+
+        const download = document.createElement('a');
+        download.className = 'lightbox-download';
+        download.textContent = '⬇';
+
+        const footer = document.createElement('div');
+        footer.className = 'lightbox-footer';
+        footer.append(counter, caption, download);
+
+        body.append(prevButton, stage, nextButton, footer);
+
+        // A single image has nothing to switch to
+        prevButton.hidden = nextButton.hidden = counter.hidden = this.images.length < 2;
+
+        this.elements = { stage, image, prevButton, nextButton, caption, counter, download };
+        this.setupGestures(stage);
+        this.setupKeys();
+        image.addEventListener('load', () => stage.classList.remove('is-loading'));
+        image.addEventListener('error', () => {
+            stage.classList.remove('is-loading');
+            console.log('Gallery image failed to load:', image.src);
+        });
+    }
+
+    createButton(className, text, onClick) {
+        const button = document.createElement('button');
+        button.className = `lightbox-nav ${className}`;
+        button.textContent = text;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    show(index) {
+        const count = this.images.length;
+        this.index = ((index % count) + count) % count;
+        this.resetZoom();
+
+        const { image, stage } = this.elements;
+        const item = this.images[this.index];
+
+        // Lazy: an image is requested the first time it is shown, neighbours right after
+        if (image.getAttribute('src') !== item.src) {
+            stage.classList.add('is-loading');
+            this.prefetched.add(item.src);
+            image.src = item.src;
+            this.prefetch(this.index + 1);
+            this.prefetch(this.index - 1);
+        }
+        this.render();
+    }
+
+    prefetch(index) {
+        const count = this.images.length;
+        if (count < 2) return;
+
+        const { src } = this.images[((index % count) + count) % count];
+        if (!this.prefetched.has(src)) {
+            this.prefetched.add(src);
+            const image = new Image();
+            image.src = src;
+        }
+    }
+
+    /**
+     * Text only: captions, labels and the counter follow the current language
+     */
+    render() {
+        const { image, prevButton, nextButton, caption, counter, download } = this.elements;
+        const item = this.images[this.index];
+        const captionText = i18n.pick(item.caption) || '';
+
+        image.alt = i18n.pick(item.alt) || captionText || i18n.t('gallery.image');
+        caption.textContent = captionText;
+        caption.hidden = !captionText;
+        counter.textContent = i18n.t('gallery.counter', { index: this.index + 1, total: this.images.length });
+
+        prevButton.setAttribute('aria-label', i18n.t('gallery.previous'));
+        nextButton.setAttribute('aria-label', i18n.t('gallery.next'));
+
+        download.href = item.src;
+        download.download = item.src.split('/').pop().split('?')[0] || 'image';
+        download.setAttribute('aria-label', i18n.t('gallery.download'));
+        download.title = i18n.t('gallery.download');
+    }
+
+    setupKeys() {
+        this.dialog.overlay.addEventListener('keydown', (e) => {
+            switch (e.key) {
+                case 'ArrowLeft':
+                    this.show(this.index - 1);
+                    break;
+                case 'ArrowRight':
+                    this.show(this.index + 1);
+                    break;
+                case '+':
+                case '=':
+                    this.zoomAt(this.zoom.scale * 1.5);
+                    break;
+                case '-':
+                    this.zoomAt(this.zoom.scale / 1.5);
+                    break;
+                case '0':
+                    this.resetZoom();
+                    break;
+                default:
+                    return;
+            }
+            e.preventDefault();
+        });
+    }
+
+    /**
+     * One pointer: swipe between images at 1x, pan when zoomed. Two pointers: pinch.
+     * Wheel zooms around the cursor, a double click toggles 2x
+     */
+    setupGestures(stage) {
+        stage.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            const point = this.getStagePoint(e.clientX, e.clientY);
+            this.zoomAt(this.zoom.scale * Math.exp(-e.deltaY * 0.002), point);
+        }, { passive: false });
+
+        stage.addEventListener('dblclick', (e) => {
+            const point = this.getStagePoint(e.clientX, e.clientY);
+            this.zoomAt(this.zoom.scale > 1 ? 1 : 2, point);
+        });
+
+        stage.addEventListener('pointerdown', (e) => {
+            stage.setPointerCapture(e.pointerId);
+            this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            this.startGesture();
+        });
+
+        stage.addEventListener('pointermove', (e) => {
+            if (!this.pointers.has(e.pointerId)) return;
+            this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            this.moveGesture();
+        });
+
+        const end = (e) => {
+            if (!this.pointers.has(e.pointerId)) return;
+            this.endGesture(e.type === 'pointerup');
+            this.pointers.delete(e.pointerId);
+            // A finger lifted from a pinch continues as a pan with the other one
+            this.startGesture();
+        };
+        stage.addEventListener('pointerup', end);
+        stage.addEventListener('pointercancel', end);
+    }
+
+    startGesture() {
+        const points = [...this.pointers.values()];
+        if (points.length === 0) {
+            this.gesture = null;
+            return;
+        }
+
+        const start = { ...this.zoom };
+        if (points.length >= 2) {
+            this.gesture = {
+                type: 'pinch',
+                start,
+                distance: Math.hypot(points[0].x - points[1].x, points[0].y - points[1].y),
+                center: this.getStagePoint((points[0].x + points[1].x) / 2, (points[0].y + points[1].y) / 2)
+            };
+        } else {
+            this.gesture = { type: start.scale > 1 ? 'pan' : 'swipe', start, origin: points[0], last: points[0] };
+        }
+        this.elements.stage.classList.add('is-dragging');
+    }
+
+    moveGesture() {
+        const gesture = this.gesture;
+        const points = [...this.pointers.values()];
+        if (!gesture) return;
+
+        if (gesture.type === 'pinch' && points.length >= 2) {
+            const distance = Math.hypot(points[0].x - points[1].x, points[0].y - points[1].y);
+            const center = this.getStagePoint((points[0].x + points[1].x) / 2, (points[0].y + points[1].y) / 2);
+            const scale = this.clampScale(gesture.start.scale * (distance / (gesture.distance || 1)));
+            const ratio = scale / gesture.start.scale;
+
+            // The point under the fingers stays under the fingers, and follows them when they move
+            this.setZoom(
+                scale,
+                center.x - (gesture.center.x - gesture.start.x) * ratio,
+                center.y - (gesture.center.y - gesture.start.y) * ratio
+            );
+            return;
+        }
+
+        const point = points[0];
+        gesture.last = point;
+        if (gesture.type === 'pan') {
+            this.setZoom(gesture.start.scale, gesture.start.x + point.x - gesture.origin.x, gesture.start.y + point.y - gesture.origin.y);
+        } else if (gesture.type === 'swipe') {
+            // The image follows the finger a little so the swipe feels connected
+            this.elements.image.style.transform = `translateX(${(point.x - gesture.origin.x) * 0.5}px)`;
+        }
+    }
+
+    endGesture(completed) {
+        const gesture = this.gesture;
+        this.gesture = null;
+        this.elements.stage.classList.remove('is-dragging');
+        if (!gesture || gesture.type !== 'swipe') return;
+
+        const dx = gesture.last.x - gesture.origin.x;
+        const dy = gesture.last.y - gesture.origin.y;
+        this.applyZoom();
+
+        if (completed && Math.abs(dx) > Lightbox.swipeDistance && Math.abs(dx) > Math.abs(dy)) {
+            this.show(this.index + (dx < 0 ? 1 : -1));
+        }
+    }
+
+    /**
+     * Pointer position relative to the stage centre, which is the transform origin
+     */
+    getStagePoint(clientX, clientY) {
+        const rect = this.elements.stage.getBoundingClientRect();
+        return {
+            x: clientX - (rect.left + rect.width / 2),
+            y: clientY - (rect.top + rect.height / 2)
+        };
+    }
+
+    clampScale(scale) {
+        return Math.min(this.maxScale, Math.max(1, scale));
+    }
+
+    /**
+     * Zooms keeping `point` (stage coordinates, centre by default) fixed on screen
+     */
+    zoomAt(scale, point = { x: 0, y: 0 }) {
+        const next = this.clampScale(scale);
+        const ratio = next / this.zoom.scale;
+        this.setZoom(
+            next,
+            point.x - (point.x - this.zoom.x) * ratio,
+            point.y - (point.y - this.zoom.y) * ratio
+        );
+    }
+
+    setZoom(scale, x, y) {
+        // Panning stops where the image edge meets the stage edge
+        const { stage } = this.elements;
+        const limitX = (stage.clientWidth * (scale - 1)) / 2;
+        const limitY = (stage.clientHeight * (scale - 1)) / 2;
+
+        this.zoom = {
+            scale,
+            x: Math.max(-limitX, Math.min(limitX, x)),
+            y: Math.max(-limitY, Math.min(limitY, y))
+        };
+        this.applyZoom();
+    }
+
+    resetZoom() {
+        this.zoom = { scale: 1, x: 0, y: 0 };
+        this.applyZoom();
+    }
+
+    applyZoom() {
+        const { scale, x, y } = this.zoom;
+        const { stage, image } = this.elements;
+
+        image.style.transform = `translate(${x.toFixed(1)}px, ${y.toFixed(1)}px) scale(${scale.toFixed(3)})`;
+        stage.classList.toggle('is-zoomed', scale > 1);
+    }
+}
+
+// Horizontal travel in pixels that counts as a swipe to the next image
+Lightbox.swipeDistance = 50;
@@ -0,0 +1,407 @@
+/**
+ * MusicPlayer - Background music playlist with seek, volume and Media Session support
+ * Tracks come from profile.json (music.tracks); track, position and volume persist across visits
+ */
+class MusicPlayer {
+    constructor(tracks = []) {
+        this.audio = document.getElementById('music');
+        this.tracks = tracks.filter(track => track && track.src);
+        this.storageKey = 'bio:music';
+        this.index = 0;
+        this.order = [];
+        this.shuffle = false;
+        this.repeat = 'all'; // all | one | off
+        this.isSeeking = false;
+        this.pendingPosition = 0;
+        this.lastSavedAt = 0;
+
+        this.elements = {
+            player: document.querySelector('.music-player'),
+            playButton: document.getElementById('play-pause'),
+            prevButton: document.getElementById('prev-track'),
+            nextButton: document.getElementById('next-track'),
+            shuffleButton: document.getElementById('shuffle-toggle'),
+            repeatButton: document.getElementById('repeat-toggle'),
+            seek: document.getElementById('music-seek'),
+            volume: document.getElementById('music-volume'),
+            current: document.querySelector('.music-current'),
+            duration: document.querySelector('.music-duration'),
+            title: document.querySelector('.music-title'),
+            artist: document.querySelector('.music-artist'),
+            cover: document.querySelector('.music-cover')
+        };
+
+        this.init();
+    }
+
+    init() {
+        if (!this.audio || this.tracks.length === 0) {
+            if (this.elements.player) {
+                this.elements.player.hidden = true;
+            }
+            return;
+        }
+
+        const saved = this.loadState();
+        this.audio.volume = saved.volume;
+        this.shuffle = saved.shuffle;
+        this.repeat = saved.repeat;
+        this.buildOrder();
+
+        this.loadTrack(saved.index, saved.position);
+        this.setupControls();
+        this.setupAudioEvents();
+        this.setupMediaSession();
+        this.updatePlayState();
+        this.updateModeButtons();
+        this.updateVolume();
+
+        document.addEventListener('i18n:change', () => {
+            this.renderTrack(this.tracks[this.index]);
+            this.updatePlayState();
+            this.updateModeButtons();
+        });
+    }
+
+    loadState() {
+        const defaults = { index: 0, position: 0, volume: 0.15, shuffle: false, repeat: 'all' };
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+            return {
+                index: Number.isInteger(saved.index) && saved.index >= 0 && saved.index < this.tracks.length ? saved.index : defaults.index,
+                position: Math.max(Number(saved.position) || defaults.position, 0),
+                volume: typeof saved.volume === 'number' ? Math.min(Math.max(saved.volume, 0), 1) : defaults.volume,
+                shuffle: Boolean(saved.shuffle),
+                repeat: ['all', 'one', 'off'].includes(saved.repeat) ? saved.repeat : defaults.repeat
+            };
+        } catch (error) {
+            console.log('Music state could not be restored:', error);
+            return defaults;
+        }
+    }
+
+    saveState() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                index: this.index,
+                // Until metadata arrives currentTime is 0, keep the restored position instead
+                position: this.pendingPosition || this.audio.currentTime || 0,
+                volume: this.audio.volume,
+                shuffle: this.shuffle,
+                repeat: this.repeat
+            }));
+            this.lastSavedAt = Date.now();
+        } catch (error) {
+            console.log('Music state could not be saved:', error);
+        }
+    }
+
+    buildOrder() {
+        this.order = this.tracks.map((track, index) => index);
+        if (this.shuffle) {
+            // Fisher-Yates, current track stays first so toggling shuffle does not skip it
+            for (let i = this.order.length - 1; i > 0; i--) {
+                const j = Math.floor(Math.random() * (i + 1));
+                [this.order[i], this.order[j]] = [this.order[j], this.order[i]];
+            }
+            this.order.splice(this.order.indexOf(this.index), 1);
+            this.order.unshift(this.index);
+        }
+    }
+
+    loadTrack(index, position = 0) {
+        this.index = index;
+        const track = this.tracks[index];
+
+        this.audio.src = track.src;
+        this.audio.loop = this.repeat === 'one';
+        this.pendingPosition = position;
+        if (position > 0) {
+            this.audio.addEventListener('loadedmetadata', () => {
+                if (this.pendingPosition > 0 && this.pendingPosition < this.audio.duration) {
+                    this.audio.currentTime = this.pendingPosition;
+                }
+                this.pendingPosition = 0;
+            }, { once: true });
+        }
+
+        this.renderTrack(track);
+        this.updateMediaMetadata(track);
+    }
+
+    renderTrack(track) {
+        const { title, artist, cover } = this.elements;
+
+        if (title) {
+            title.textContent = track.title || i18n.t('music.defaultTitle');
+        }
+        if (artist) {
+            artist.textContent = track.artist || '';
+            artist.hidden = !track.artist;
+        }
+        if (cover) {
+            if (track.cover) {
+                cover.src = track.cover;
+            } else {
+                cover.removeAttribute('src');
+            }
+            cover.hidden = !track.cover;
+        }
+        this.updateTimeline();
+    }
+
+    async play() {
+        try {
+            await this.audio.play();
+        } catch (error) {
+            console.log('Music play failed:', error);
+        }
+    }
+
+    pause() {
+        this.audio.pause();
+    }
+
+    toggle() {
+        if (this.audio.paused) {
+            this.play();
+        } else {
+            this.pause();
+        }
+    }
+
+    switchTrack(index) {
+        const wasPlaying = !this.audio.paused;
+        this.loadTrack(index);
+        this.saveState();
+        if (wasPlaying) {
+            this.play();
+        }
+    }
+
+    next({ fromEnded = false } = {}) {
+        const position = this.order.indexOf(this.index);
+        const isLast = position === this.order.length - 1;
+
+        if (fromEnded && isLast && this.repeat === 'off') {
+            this.audio.currentTime = 0;
+            this.saveState();
+            return;
+        }
+
+        const nextIndex = this.order[(position + 1) % this.order.length];
+        if (fromEnded) {
+            this.loadTrack(nextIndex);
+            this.saveState();
+            this.play();
+        } else {
+            this.switchTrack(nextIndex);
+        }
+    }
+
+    previous() {
+        // Like most players: first press restarts the track, second one goes back
+        if (this.audio.currentTime > 3) {
+            this.audio.currentTime = 0;
+            return;
+        }
+
+        const position = this.order.indexOf(this.index);
+        this.switchTrack(this.order[(position - 1 + this.order.length) % this.order.length]);
+    }
+
+    toggleShuffle() {
+        this.shuffle = !this.shuffle;
+        this.buildOrder();
+        this.updateModeButtons();
+        this.saveState();
+    }
+
+    cycleRepeat() {
+        const modes = ['all', 'one', 'off'];
+        this.repeat = modes[(modes.indexOf(this.repeat) + 1) % modes.length];
+        this.audio.loop = this.repeat === 'one';
+        this.updateModeButtons();
+        this.saveState();
+    }
+
+    seek(seconds) {
+        if (!Number.isFinite(this.audio.duration)) return;
+        this.pendingPosition = 0;
+        this.audio.currentTime = Math.min(Math.max(seconds, 0), this.audio.duration);
+        this.updateTimeline();
+    }
+
+    setVolume(volume) {
+        this.audio.volume = Math.min(Math.max(volume, 0), 1);
+    }
+
+    setupControls() {
+        const { playButton, prevButton, nextButton, shuffleButton, repeatButton, seek, volume } = this.elements;
+
+        if (playButton) playButton.addEventListener('click', () => this.toggle());
+        if (prevButton) prevButton.addEventListener('click', () => this.previous());
+        if (nextButton) nextButton.addEventListener('click', () => this.next());
+        if (shuffleButton) shuffleButton.addEventListener('click', () => this.toggleShuffle());
+        if (repeatButton) repeatButton.addEventListener('click', () => this.cycleRepeat());
+
+        if (prevButton) prevButton.hidden = this.tracks.length < 2;
+        if (nextButton) nextButton.hidden = this.tracks.length < 2;
+        if (shuffleButton) shuffleButton.hidden = this.tracks.length < 2;
+
+        if (seek) {
+            // While dragging only the label follows the thumb, the audio jumps on release
+            seek.addEventListener('input', () => {
+                this.isSeeking = true;
+                this.updateTimeLabels(Number(seek.value));
+            });
+            seek.addEventListener('change', () => {
+                this.isSeeking = false;
+                this.seek(Number(seek.value));
+            });
+        }
+
+        if (volume) {
+            volume.addEventListener('input', () => this.setVolume(Number(volume.value)));
+        }
+    }
+
+    setupAudioEvents() {
+        // The UI follows real playback events, so the icon never runs ahead of the play() promise
+        this.audio.addEventListener('play', () => this.updatePlayState());
+        this.audio.addEventListener('pause', () => this.updatePlayState());
+        this.audio.addEventListener('ended', () => this.next({ fromEnded: true }));
+        this.audio.addEventListener('loadedmetadata', () => this.updateTimeline());
+        this.audio.addEventListener('volumechange', () => {
+            this.updateVolume();
+            this.saveState();
+        });
+        this.audio.addEventListener('timeupdate', () => {
+            this.updateTimeline();
+            if (Date.now() - this.lastSavedAt > 5000) {
+                this.saveState();
+            }
+        });
+        this.audio.addEventListener('error', () => {
+            console.log('Music track failed to load:', this.tracks[this.index].src);
+        });
+
+        window.addEventListener('pagehide', () => this.saveState());
+    }
+
+    setupMediaSession() {
+        if (!('mediaSession' in navigator)) return;
+
+        const handlers = {
+            play: () => this.play(),
+            pause: () => this.pause(),
+            previoustrack: () => this.previous(),
+            nexttrack: () => this.next(),
+            seekbackward: (details) => this.seek(this.audio.currentTime - (details.seekOffset || 10)),
+            seekforward: (details) => this.seek(this.audio.currentTime + (details.seekOffset || 10)),
+            seekto: (details) => this.seek(details.seekTime)
+        };
+
+        Object.entries(handlers).forEach(([action, handler]) => {
+            try {
+                navigator.mediaSession.setActionHandler(action, handler);
+            } catch (error) {
+                // Older browsers throw for actions they do not support
+            }
+        });
+    }
+
+    updateMediaMetadata(track) {
+        if (!('mediaSession' in navigator) || typeof MediaMetadata === 'undefined') return;
+
+        navigator.mediaSession.metadata = new MediaMetadata({
+            title: track.title || i18n.t('music.defaultTitle'),
+            artist: track.artist || '',
+            album: track.album || '',
+            artwork: track.cover ? [{ src: new URL(track.cover, document.baseURI).href }] : []
+        });
+    }
+
+    updatePlayState() {
+        const isPlaying = !this.audio.paused;
+        const { playButton, player } = this.elements;
+
+        if (playButton) {
+            playButton.textContent = isPlaying ? '⏸️' : '▶️';
+            playButton.setAttribute('aria-pressed', isPlaying.toString());
+            playButton.setAttribute('aria-label', i18n.t(isPlaying ? 'music.pause' : 'music.play'));
+        }
+        if (player) {
+            player.classList.toggle('is-playing', isPlaying);
+        }
+        if ('mediaSession' in navigator) {
+            navigator.mediaSession.playbackState = isPlaying ? 'playing' : 'paused';
+        }
+    }
+
+    updateModeButtons() {
+        const { shuffleButton, repeatButton } = this.elements;
+
+        if (shuffleButton) {
+            shuffleButton.setAttribute('aria-pressed', this.shuffle.toString());
+            shuffleButton.classList.toggle('is-active', this.shuffle);
+        }
+        if (repeatButton) {
+            const labels = { all: 'music.repeatAll', one: 'music.repeatOne', off: 'music.repeatOff' };
+            repeatButton.textContent = this.repeat === 'one' ? '🔂' : '🔁';
+            repeatButton.dataset.mode = this.repeat;
+            repeatButton.classList.toggle('is-active', this.repeat !== 'off');
+            repeatButton.setAttribute('aria-label', i18n.t(labels[this.repeat]));
+        }
+    }
+
+    updateVolume() {
+        const { volume } = this.elements;
+        if (volume) {
+            volume.value = this.audio.volume.toString();
+            volume.style.setProperty('--fill', `${this.audio.volume * 100}%`);
+        }
+    }
+
+    updateTimeline() {
+        const duration = Number.isFinite(this.audio.duration) ? this.audio.duration : 0;
+        const { seek } = this.elements;
+
+        if (seek && !this.isSeeking) {
+            seek.max = duration.toString();
+            seek.value = this.audio.currentTime.toString();
+            seek.disabled = duration === 0;
+            seek.style.setProperty('--fill', `${duration > 0 ? (this.audio.currentTime / duration) * 100 : 0}%`);
+        }
+        if (!this.isSeeking) {
+            this.updateTimeLabels(this.audio.currentTime);
+        }
+
+        if ('mediaSession' in navigator && navigator.mediaSession.setPositionState && duration > 0) {
+            try {
+                navigator.mediaSession.setPositionState({
+                    duration,
+                    playbackRate: this.audio.playbackRate,
+                    position: Math.min(this.audio.currentTime, duration)
+                });
+            } catch (error) {
+                // Position can briefly exceed duration while a new track loads
+            }
+        }
+    }
+
+    updateTimeLabels(position) {
+        const { current, duration } = this.elements;
+        if (current) {
+            current.textContent = this.formatTime(position);
+        }
+        if (duration) {
+            duration.textContent = this.formatTime(Number.isFinite(this.audio.duration) ? this.audio.duration : 0);
+        }
+    }
+
+    formatTime(seconds) {
+        const total = Math.max(0, Math.floor(seconds || 0));
+        return `${Math.floor(total / 60)}:${(total % 60).toString().padStart(2, '0')}`;
+    }
+}
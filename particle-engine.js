@@ -0,0 +1,477 @@
+/**
+ * ParticleEngine - DOM-free particle simulation and renderer
+ * Runs either on the main thread or inside particle-worker.js with an OffscreenCanvas;
+ * ParticleSystem (script.js) feeds it pointer, click and beat input in CSS pixels
+ */
+class ParticleEngine {
+    constructor({ canvas, width, height, dpr = 1, overrides = {}, qualityCap = 1 }) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.particles = [];
+        this.pointer = { x: 0, y: 0, active: false };
+        this.overrides = overrides;
+        this.theme = {};
+        this.sprites = new Map();
+        this.ripples = [];
+        this.running = false;
+
+        // Adaptive quality: 1 = full preset, lowered when frames get slow
+        this.qualityCap = qualityCap;
+        this.quality = qualityCap;
+        this.frameTime = 16.7;
+        this.lastFrameAt = 0;
+        this.lastQualityChangeAt = 0;
+
+        this.resize(width, height, dpr);
+    }
+
+    resize(width, height, dpr = 1) {
+        this.width = width;
+        this.height = height;
+        this.dpr = dpr;
+        // Backing store in device pixels, drawing in CSS pixels: crisp on HiDPI screens
+        this.canvas.width = Math.round(width * dpr);
+        this.canvas.height = Math.round(height * dpr);
+        this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    }
+
+    setPreset(name, overrides = {}) {
+        const base = ParticleEngine.presets[name];
+        if (!base) return false;
+
+        this.preset = name;
+        this.presetOverrides = overrides;
+        // Theme palette beats the built-in one, explicit config and runtime overrides beat the theme
+        this.settings = { ...base, ...this.theme, ...(this.overrides[name] || {}), ...overrides };
+        this.particles = [];
+        // Also seeds the ambient population
+        this.applyQuality();
+        return true;
+    }
+
+    /**
+     * @param {{ palette?: string[] }} theme - settings shared by all presets, re-applied to the current one
+     */
+    setTheme(theme = {}) {
+        this.theme = theme;
+        if (this.preset) {
+            this.setPreset(this.preset, this.presetOverrides);
+        }
+    }
+
+    setQualityCap(cap) {
+        this.qualityCap = Math.min(Math.max(cap, 0.1), 1);
+        this.quality = Math.min(this.quality, this.qualityCap);
+        this.applyQuality();
+    }
+
+    applyQuality() {
+        if (!this.settings) return;
+
+        this.maxParticles = Math.max(1, Math.round(this.settings.count * this.quality));
+        // Glow is the most expensive part, it goes first when quality drops
+        this.glow = this.quality < 0.5 ? 0 : Math.round(this.settings.glow * this.quality);
+
+        if (this.settings.spawn === 'ambient') {
+            while (this.particles.length > this.maxParticles) {
+                this.particles.pop();
+            }
+            while (this.particles.length < this.maxParticles) {
+                this.particles.push(this.createAmbientParticle(true));
+            }
+        }
+    }
+
+    /**
+     * Tracks an exponential average of the frame interval and steps quality
+     * down below ~45fps or back up above ~55fps, at most once per second
+     */
+    adaptQuality(now, delta) {
+        this.frameTime = this.frameTime * 0.9 + delta * 0.1;
+        if (now - this.lastQualityChangeAt < 1000) return;
+
+        let next = this.quality;
+        if (this.frameTime > 22) {
+            next = Math.max(0.2, this.quality - 0.2);
+        } else if (this.frameTime < 18) {
+            next = Math.min(this.qualityCap, this.quality + 0.1);
+        }
+
+        if (next !== this.quality) {
+            this.quality = next;
+            this.lastQualityChangeAt = now;
+            this.applyQuality();
+        }
+    }
+
+    start() {
+        this.running = true;
+        // The first frame after a pause must not count the whole pause as one slow frame
+        this.lastFrameAt = 0;
+    }
+
+    stop() {
+        this.running = false;
+    }
+
+    /**
+     * One animation step; returns false while paused so the caller can stop scheduling
+     */
+    frame(now) {
+        if (!this.running) return false;
+
+        const delta = this.lastFrameAt ? Math.min(now - this.lastFrameAt, 100) : 16.7;
+        this.lastFrameAt = now;
+        this.adaptQuality(now, delta);
+
+        this.update(delta / 16.7);
+        this.draw();
+        return true;
+    }
+
+    randomBetween([min, max]) {
+        return min + Math.random() * (max - min);
+    }
+
+    pickColor() {
+        const { palette } = this.settings;
+        return palette[Math.floor(Math.random() * palette.length)];
+    }
+
+    pointerMove(x, y) {
+        this.pointer.x = x;
+        this.pointer.y = y;
+        this.pointer.active = true;
+        if (this.settings.spawn === 'pointer') {
+            this.createParticle(x, y);
+        }
+    }
+
+    pointerLeave() {
+        this.pointer.active = false;
+    }
+
+    click(x, y) {
+        if (this.settings.spawn === 'click') {
+            this.burst(x, y);
+        }
+    }
+
+    /**
+     * Expanding ring for touch taps; drawn regardless of the active preset
+     */
+    ripple(x, y) {
+        this.ripples.push({ x, y, radius: 0, life: 1 });
+    }
+
+    createParticle(x, y) {
+        if (this.particles.length >= this.maxParticles) return;
+
+        const { velocity } = this.settings;
+        this.particles.push({
+            x: x + (Math.random() - 0.5) * 10,
+            y: y + (Math.random() - 0.5) * 10,
+            vx: (Math.random() - 0.5) * 2 * velocity,
+            vy: (Math.random() - 0.5) * 2 * velocity,
+            life: 1,
+            decay: this.randomBetween(this.settings.decay),
+            size: this.randomBetween(this.settings.size),
+            color: this.pickColor()
+        });
+    }
+
+    /**
+     * Ambient presets keep a fixed population: particles are seeded anywhere on start
+     * and re-enter from the edge they drift towards once they leave the screen
+     */
+    createAmbientParticle(anywhere = false) {
+        const { velocity, gravity } = this.settings;
+        let y = Math.random() * this.height;
+
+        if (!anywhere && gravity !== 0) {
+            y = gravity > 0 ? -10 : this.height + 10;
+        }
+
+        return {
+            x: Math.random() * this.width,
+            y,
+            vx: (Math.random() - 0.5) * 2 * velocity,
+            vy: (Math.random() - 0.5) * 2 * velocity,
+            life: anywhere ? Math.random() * 0.5 + 0.5 : 1,
+            decay: this.randomBetween(this.settings.decay),
+            size: this.randomBetween(this.settings.size),
+            color: this.pickColor(),
+            phase: Math.random() * Math.PI * 2
+        };
+    }
+
+    burst(x, y, count = this.settings.burstSize || 12) {
+        const { velocity } = this.settings;
+        const total = Math.max(1, Math.round(count * this.quality));
+
+        for (let i = 0; i < total && this.particles.length < this.maxParticles; i++) {
+            const angle = (Math.PI * 2 * i) / total + Math.random() * 0.4;
+            const speed = velocity * (0.5 + Math.random());
+            this.particles.push({
+                x,
+                y,
+                vx: Math.cos(angle) * speed,
+                vy: Math.sin(angle) * speed,
+                life: 1,
+                decay: this.randomBetween(this.settings.decay),
+                size: this.randomBetween(this.settings.size),
+                color: this.pickColor()
+            });
+        }
+    }
+
+    /**
+     * Ring of particles around the avatar on a music beat
+     * Bass-heavy beats lean red, bright treble shifts the hue towards amber
+     */
+    beat({ centerX, centerY, radius, strength, levels }) {
+        const count = Math.round((4 + strength * 8) * this.quality);
+        const hue = 60 * (levels.treble / Math.max(levels.bass + levels.treble, 0.01));
+        // Ambient presets are already at their population cap, beat particles get a little headroom
+        const limit = this.maxParticles + (this.settings.spawn === 'ambient' ? count : 0);
+
+        for (let i = 0; i < count && this.particles.length < limit; i++) {
+            const angle = (Math.PI * 2 * i) / count + Math.random() * 0.3;
+            const speed = 1 + strength * 2;
+            this.particles.push({
+                x: centerX + Math.cos(angle) * radius,
+                y: centerY + Math.sin(angle) * radius,
+                vx: Math.cos(angle) * speed,
+                vy: Math.sin(angle) * speed,
+                life: 1,
+                decay: 0.02 + Math.random() * 0.01,
+                size: 1 + strength * 1.5,
+                // Hue and lightness in steps of 10 keep the glow sprite cache small
+                color: `hsl(${Math.round(hue / 10) * 10}, 40%, ${30 + Math.round(strength * 2) * 10}%)`,
+                transient: true
+            });
+        }
+    }
+
+    update(step) {
+        const { gravity, sway, spawn, wrap, velocity } = this.settings;
+        const { width, height } = this;
+        const isAmbient = spawn === 'ambient';
+
+        for (let i = this.particles.length - 1; i >= 0; i--) {
+            const particle = this.particles[i];
+
+            if (sway && particle.phase !== undefined) {
+                particle.phase += 0.02 * step;
+                particle.x += Math.sin(particle.phase) * sway * step;
+            }
+            particle.vy += gravity * step;
+            particle.x += particle.vx * step;
+            particle.y += particle.vy * step;
+            particle.life -= particle.decay * step;
+
+            if (isAmbient && !particle.transient) {
+                // Terminal velocity keeps snow and embers from accelerating forever
+                particle.vy = Math.max(Math.min(particle.vy, velocity * 2), -velocity * 2);
+
+                if (wrap) {
+                    particle.x = (particle.x + width) % width;
+                    particle.y = (particle.y + height) % height;
+                }
+
+                const isOffscreen = particle.y < -20 || particle.y > height + 20 || particle.x < -20 || particle.x > width + 20;
+                if (particle.life <= 0 || isOffscreen) {
+                    this.particles[i] = this.createAmbientParticle();
+                }
+                continue;
+            }
+
+            if (particle.life <= 0) {
+                this.particles.splice(i, 1);
+            }
+        }
+
+        for (let i = this.ripples.length - 1; i >= 0; i--) {
+            const ripple = this.ripples[i];
+            ripple.radius += 2.5 * step;
+            ripple.life -= 0.035 * step;
+            if (ripple.life <= 0) {
+                this.ripples.splice(i, 1);
+            }
+        }
+    }
+
+    draw() {
+        this.ctx.clearRect(0, 0, this.width, this.height);
+
+        if (this.settings.links) {
+            this.drawLinks();
+        }
+        if (this.ripples.length > 0) {
+            this.drawRipples();
+        }
+
+        this.ctx.save();
+        for (const particle of this.particles) {
+            this.ctx.globalAlpha = Math.max(Math.min(particle.life, 1), 0);
+
+            if (this.glow > 0) {
+                const sprite = this.getSprite(particle.color);
+                const scale = particle.size / ParticleEngine.SPRITE_CORE;
+                const size = sprite.width * scale;
+                this.ctx.drawImage(sprite, particle.x - size / 2, particle.y - size / 2, size, size);
+            } else {
+                this.ctx.fillStyle = particle.color;
+                this.ctx.beginPath();
+                this.ctx.arc(particle.x, particle.y, particle.size, 0, Math.PI * 2);
+                this.ctx.fill();
+            }
+        }
+        this.ctx.restore();
+    }
+
+    /**
+     * Glow is baked once per colour into a small sprite instead of
+     * setting shadowBlur for every particle on every frame
+     */
+    getSprite(color) {
+        const key = `${color}|${this.glow}`;
+        let sprite = this.sprites.get(key);
+        if (sprite) return sprite;
+
+        if (this.sprites.size > 64) {
+            this.sprites.clear();
+        }
+
+        const core = ParticleEngine.SPRITE_CORE;
+        const dimension = Math.ceil((core + this.glow * 2) * 2);
+        sprite = ParticleEngine.createCanvas(dimension, dimension);
+        const ctx = sprite.getContext('2d');
+        ctx.shadowBlur = this.glow;
+        ctx.shadowColor = color;
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        ctx.arc(dimension / 2, dimension / 2, core, 0, Math.PI * 2);
+        ctx.fill();
+
+        this.sprites.set(key, sprite);
+        return sprite;
+    }
+
+    drawRipples() {
+        this.ctx.save();
+        this.ctx.strokeStyle = this.settings.palette[0];
+        this.ctx.lineWidth = 1.5;
+        for (const ripple of this.ripples) {
+            this.ctx.globalAlpha = ripple.life * 0.8;
+            this.ctx.beginPath();
+            this.ctx.arc(ripple.x, ripple.y, ripple.radius, 0, Math.PI * 2);
+            this.ctx.stroke();
+        }
+        this.ctx.restore();
+    }
+
+    /**
+     * Constellation lines: neighbours closer than settings.links are joined,
+     * fading with distance; the pointer acts as one more star
+     */
+    drawLinks() {
+        const maxDistance = this.settings.links;
+        const points = this.pointer.active ? [...this.particles, this.pointer] : this.particles;
+
+        this.ctx.save();
+        this.ctx.strokeStyle = this.settings.linkColor;
+        this.ctx.lineWidth = 0.6;
+        for (let i = 0; i < points.length; i++) {
+            for (let j = i + 1; j < points.length; j++) {
+                const dx = points[i].x - points[j].x;
+                const dy = points[i].y - points[j].y;
+                const distance = Math.sqrt(dx * dx + dy * dy);
+                if (distance > maxDistance) continue;
+
+                this.ctx.globalAlpha = (1 - distance / maxDistance) * 0.5;
+                this.ctx.beginPath();
+                this.ctx.moveTo(points[i].x, points[i].y);
+                this.ctx.lineTo(points[j].x, points[j].y);
+                this.ctx.stroke();
+            }
+        }
+        this.ctx.restore();
+    }
+
+    static createCanvas(width, height) {
+        if (typeof OffscreenCanvas === 'function') {
+            return new OffscreenCanvas(width, height);
+        }
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+}
+
+// Sprites are drawn with a 4px core and scaled to each particle's size
+ParticleEngine.SPRITE_CORE = 4;
+
+/**
+ * Built-in presets. spawn: pointer (follows the cursor), ambient (fixed population),
+ * click (bursts where the user clicks). size/decay are [min, max] ranges
+ */
+ParticleEngine.presets = {
+    trail: {
+        spawn: 'pointer',
+        count: 50,
+        palette: ['hsl(0, 30%, 25%)', 'hsl(20, 30%, 30%)', 'hsl(40, 30%, 35%)', 'hsl(60, 30%, 30%)'],
+        velocity: 1,
+        gravity: 0.015,
+        glow: 10,
+        size: [1, 2.5],
+        decay: [0.02, 0.05]
+    },
+    constellation: {
+        spawn: 'ambient',
+        count: 60,
+        palette: ['#555', '#666', '#777'],
+        velocity: 0.3,
+        gravity: 0,
+        glow: 0,
+        size: [1, 2],
+        decay: [0, 0],
+        wrap: true,
+        links: 120,
+        linkColor: '#444'
+    },
+    snow: {
+        spawn: 'ambient',
+        count: 80,
+        palette: ['#888', '#999', '#aaa'],
+        velocity: 0.6,
+        gravity: 0.01,
+        glow: 4,
+        size: [1, 2.5],
+        decay: [0, 0],
+        sway: 0.3
+    },
+    embers: {
+        spawn: 'ambient',
+        count: 40,
+        palette: ['hsl(10, 70%, 40%)', 'hsl(25, 80%, 45%)', 'hsl(40, 80%, 50%)'],
+        velocity: 0.5,
+        gravity: -0.01,
+        glow: 8,
+        size: [0.8, 2],
+        decay: [0.002, 0.006],
+        sway: 0.2
+    },
+    bursts: {
+        spawn: 'click',
+        count: 120,
+        burstSize: 16,
+        palette: ['hsl(0, 30%, 35%)', 'hsl(30, 30%, 40%)', 'hsl(60, 30%, 35%)'],
+        velocity: 3,
+        gravity: 0.08,
+        glow: 10,
+        size: [1, 2.5],
+        decay: [0.015, 0.03]
+    }
+};
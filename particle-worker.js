@@ -0,0 +1,84 @@
+/**
+ * Particle worker - runs ParticleEngine on an OffscreenCanvas transferred from the page
+ * Messages mirror ParticleSystem's input: init, resize, preset, theme, pointer, leave, click, ripple, beat, quality, pause, resume
+ */
+importScripts('particle-engine.js');
+
+let engine = null;
+let frameId = null;
+
+const hasAnimationFrame = typeof self.requestAnimationFrame === 'function';
+const schedule = hasAnimationFrame
+    ? callback => self.requestAnimationFrame(callback)
+    : callback => setTimeout(() => callback(performance.now()), 16);
+const unschedule = hasAnimationFrame
+    ? id => self.cancelAnimationFrame(id)
+    : id => clearTimeout(id);
+
+function loop(now) {
+    frameId = engine.frame(now) ? schedule(loop) : null;
+}
+
+function resume() {
+    if (engine.running) return;
+    engine.start();
+    frameId = schedule(loop);
+}
+
+// rAF callbacks are held while the tab is hidden, so a queued frame must be
+// cancelled here or resume() would start a second loop next to it
+function pause() {
+    engine.stop();
+    if (frameId !== null) {
+        unschedule(frameId);
+        frameId = null;
+    }
+}
+
+self.addEventListener('message', ({ data }) => {
+    if (data.type === 'init') {
+        engine = new ParticleEngine(data);
+        engine.setPreset(data.preset);
+        if (!data.paused) {
+            resume();
+        }
+        return;
+    }
+    if (!engine) return;
+
+    switch (data.type) {
+        case 'resize':
+            engine.resize(data.width, data.height, data.dpr);
+            break;
+        case 'preset':
+            engine.setPreset(data.name, data.overrides);
+            break;
+        case 'theme':
+            engine.setTheme(data.theme);
+            break;
+        case 'pointer':
+            engine.pointerMove(data.x, data.y);
+            break;
+        case 'leave':
+            engine.pointerLeave();
+            break;
+        case 'click':
+            engine.click(data.x, data.y);
+            break;
+        case 'ripple':
+            engine.ripple(data.x, data.y);
+            break;
+        case 'beat':
+            engine.beat(data);
+            break;
+        case 'quality':
+            engine.setQualityCap(data.cap);
+            break;
+        case 'pause':
+            pause();
+            break;
+        case 'resume':
+            resume();
+            break;
+    }
+});
@@ -0,0 +1,882 @@
+// Источники presence-данных. Все провайдеры отдают одну нормализованную модель,
+// поэтому LanyardIntegration не знает, откуда пришёл статус.
+
+const PRESENCE_STATUSES = ['online', 'idle', 'dnd', 'offline'];
+
+/**
+ * Приводит payload в формате Lanyard к модели, которую рисует UI:
+ * { status, user, activities, spotify, kv }
+ */
+function normalizePresence(raw = {}) {
+    const user = raw.discord_user;
+    const spotify = raw.spotify;
+
+    return {
+        status: PRESENCE_STATUSES.includes(raw.discord_status) ? raw.discord_status : 'offline',
+        user: user ? {
+            id: user.id,
+            username: user.username,
+            displayName: user.global_name || user.display_name || user.username,
+            avatarUrl: user.avatar ? `https://cdn.discordapp.com/avatars/${user.id}/${user.avatar}.png?size=128` : null
+        } : null,
+        activities: (raw.activities || []).map(normalizeActivity),
+        spotify: spotify ? {
+            trackId: spotify.track_id || null,
+            song: spotify.song || '',
+            artist: spotify.artist || '',
+            album: spotify.album || '',
+            albumArtUrl: spotify.album_art_url || null,
+            timestamps: spotify.timestamps || null
+        } : null,
+        kv: raw.kv || {}
+    };
+}
+
+/**
+ * Discord отдаёт ассеты активностей в нескольких форматах:
+ * mp:external/..., spotify:ID, twitch:login, youtube:ID или id ассета приложения.
+ */
+function resolveAssetUrl(asset, applicationId) {
+    if (!asset) return null;
+
+    const [prefix, ...rest] = asset.split(':');
+    const value = rest.join(':');
+
+    if (rest.length > 0) {
+        switch (prefix) {
+            case 'mp':
+                return `https://media.discordapp.net/${value}`;
+            case 'spotify':
+                return `https://i.scdn.co/image/${value}`;
+            case 'twitch':
+                return `https://static-cdn.jtvnw.net/previews-ttv/live_user_${value}-162x90.jpg`;
+            case 'youtube':
+                return `https://i.ytimg.com/vi/${value}/hqdefault_live.jpg`;
+            default:
+                return null;
+        }
+    }
+
+    return applicationId ? `https://cdn.discordapp.com/app-assets/${applicationId}/${asset}.png` : null;
+}
+
+function normalizeActivity(activity) {
+    const assets = activity.assets;
+    const applicationId = activity.application_id || null;
+
+    return {
+        id: activity.id || null,
+        type: activity.type,
+        name: activity.name || '',
+        details: activity.details || '',
+        state: activity.state || '',
+        url: activity.url || null,
+        applicationId,
+        emoji: activity.emoji ? {
+            id: activity.emoji.id || null,
+            name: activity.emoji.name || '',
+            animated: Boolean(activity.emoji.animated),
+            url: activity.emoji.id
+                ? `https://cdn.discordapp.com/emojis/${activity.emoji.id}.${activity.emoji.animated ? 'gif' : 'png'}`
+                : null
+        } : null,
+        timestamps: activity.timestamps || null,
+        assets: assets ? {
+            largeImage: resolveAssetUrl(assets.large_image, applicationId),
+            largeText: assets.large_text || '',
+            smallImage: resolveAssetUrl(assets.small_image, applicationId),
+            smallText: assets.small_text || ''
+        } : null
+    };
+}
+
+/**
+ * Базовый провайдер: хранит обработчики и рассылает нормализованные данные.
+ * Состояния соединения: connecting, live, reconnecting, stale, offline, unavailable
+ */
+class PresenceProvider {
+    constructor() {
+        this.handlers = {};
+        this.state = null;
+        // Данные реальных источников можно сохранять как «последний известный статус»
+        this.cacheable = true;
+    }
+
+    start(handlers = {}) {
+        this.handlers = handlers;
+        this.connect();
+    }
+
+    connect() {}
+
+    stop() {}
+
+    /**
+     * userId указывается, когда провайдер следит за несколькими пользователями;
+     * null означает основного владельца страницы.
+     */
+    emitPresence(raw, userId = null) {
+        const presence = normalizePresence(raw);
+        if (this.handlers.onPresence) {
+            this.handlers.onPresence(presence, userId);
+        }
+        this.setState('live');
+    }
+
+    /**
+     * Сырые gateway-кадры для записи (см. PresenceRecorder).
+     */
+    emitFrame(frame) {
+        if (this.handlers.onFrame) {
+            this.handlers.onFrame(frame);
+        }
+    }
+
+    setState(state) {
+        if (this.state === state) return;
+        this.state = state;
+        if (this.handlers.onState) {
+            this.handlers.onState(state);
+        }
+    }
+}
+
+/**
+ * Lanyard REST + WebSocket. С другим apiUrl работает с self-hosted инстансом.
+ * memberIds добавляют подписку на других пользователей через subscribe_to_ids.
+ */
+class LanyardProvider extends PresenceProvider {
+    constructor({ userId, memberIds = [], apiUrl = 'https://api.lanyard.rest', socketUrl = null } = {}) {
+        super();
+        this.userId = userId;
+        this.userIds = [...new Set([userId, ...memberIds].filter(Boolean))];
+        this.apiUrl = apiUrl.replace(/\/+$/, '');
+        this.socketUrl = socketUrl || `${this.apiUrl.replace(/^http/, 'ws')}/socket`;
+        this.websocket = null;
+        this.stopped = false;
+
+        // Heartbeat: интервал приходит от сервера в op 1 (Hello)
+        this.heartbeatTimer = null;
+        this.heartbeatInterval = null;
+        this.lastMessageAt = 0;
+        this.unsentHeartbeats = 0;
+
+        // Переподключение: экспоненциальная задержка с jitter, без ограничения попыток
+        this.reconnectTimer = null;
+        this.reconnectAttempts = 0;
+        this.reconnectBaseDelay = 1000;
+        this.reconnectMaxDelay = 60000;
+        this.unavailableAfterAttempts = 5;
+
+        // Если сокет молчит дольше этого, сверяем данные через REST
+        this.staleAfter = 5 * 60 * 1000;
+        // Столько ответ REST считается свежим: пока сокет подключается, статус остаётся live
+        this.restFreshFor = 30 * 1000;
+        this.restReceivedAt = 0;
+        this.presenceKeys = {};
+        this.latestPresences = {};
+        this.verifying = false;
+    }
+
+    async connect() {
+        this.setupNetworkListeners();
+        await this.fetchInitialStatus();
+        this.connectWebSocket();
+    }
+
+    setupNetworkListeners() {
+        this.onOnline = () => {
+            console.log('Сеть снова доступна, переподключаемся');
+            this.reconnectNow();
+        };
+        this.onOffline = () => {
+            this.setState('offline');
+        };
+        this.onVisibilityChange = () => {
+            if (document.visibilityState === 'visible') {
+                this.reconnectNow();
+            }
+        };
+
+        window.addEventListener('online', this.onOnline);
+        window.addEventListener('offline', this.onOffline);
+        document.addEventListener('visibilitychange', this.onVisibilityChange);
+    }
+
+    async fetchPresence(userId = this.userId) {
+        try {
+            const controller = new AbortController();
+            const timeoutId = setTimeout(() => controller.abort(), 5000); // 5 second timeout
+
+            const response = await fetch(`${this.apiUrl}/v1/users/${userId}`, {
+                signal: controller.signal
+            });
+            clearTimeout(timeoutId);
+
+            if (response.ok) {
+                const data = await response.json();
+                if (data.success) {
+                    return data.data;
+                }
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                console.log('Lanyard API request timed out');
+            } else {
+                console.log('Ошибка получения статуса:', error);
+            }
+        }
+        return null;
+    }
+
+    async fetchInitialStatus() {
+        // У REST нет пакетного запроса, поэтому спрашиваем каждого пользователя отдельно
+        const presences = await Promise.all(this.userIds.map(userId => this.fetchPresence(userId)));
+        presences.forEach((presence, index) => {
+            if (presence) {
+                this.handlePresence(presence, this.userIds[index]);
+            }
+        });
+        if (presences[0]) {
+            this.restReceivedAt = Date.now();
+        }
+        return Boolean(presences[0]);
+    }
+
+    connectWebSocket() {
+        if (this.stopped) return;
+
+        this.closeWebSocket();
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+
+        // Свежие данные из REST уже live: первое подключение сокета не откатывает
+        // индикатор в connecting, иначе он мигает. Неудачи переподключения видны как обычно
+        const state = this.getRetryState();
+        if (!(state === 'connecting' && this.state === 'live' && this.isRestFresh())) {
+            this.setState(state);
+        }
+
+        const socket = new WebSocket(this.socketUrl);
+        this.websocket = socket;
+
+        socket.onopen = () => {
+            console.log('Подключен к Lanyard WebSocket');
+            this.lastMessageAt = Date.now();
+        };
+
+        socket.onmessage = (event) => {
+            this.lastMessageAt = Date.now();
+
+            let data;
+            try {
+                data = JSON.parse(event.data);
+            } catch (error) {
+                console.log('Некорректное сообщение от Lanyard:', event.data);
+                return;
+            }
+            console.log('WebSocket сообщение:', data);
+
+            if (data.op === 1) {
+                // Hello: запускаем heartbeat и подписываемся на пользователей
+                this.startHeartbeat(data.d && data.d.heartbeat_interval);
+                this.send({
+                    op: 2,
+                    d: this.isMultiUser()
+                        ? { subscribe_to_ids: this.userIds }
+                        : { subscribe_to_id: this.userId }
+                });
+            } else if (data.op === 0 && data.t === 'INIT_STATE') {
+                this.reconnectAttempts = 0;
+                this.emitFrame(data);
+                if (this.isMultiUser()) {
+                    // При subscribe_to_ids INIT_STATE — объект { [userId]: presence }
+                    Object.entries(data.d || {}).forEach(([userId, presence]) => this.handlePresence(presence, userId));
+                } else {
+                    this.handlePresence(data.d, this.userId);
+                }
+            } else if (data.op === 0 && data.t === 'PRESENCE_UPDATE') {
+                this.reconnectAttempts = 0;
+                this.emitFrame(data);
+                this.handlePresence(data.d, data.d.user_id || this.userId);
+            }
+        };
+
+        socket.onclose = (event) => {
+            // Старый сокет, который мы уже заменили, не должен запускать переподключение
+            if (socket !== this.websocket) return;
+
+            console.log('Соединение с Lanyard закрыто', event.code, event.reason);
+            this.stopHeartbeat();
+            this.websocket = null;
+            this.attemptReconnect();
+        };
+
+        socket.onerror = (error) => {
+            console.log('Ошибка WebSocket:', error);
+            // Don't attempt reconnect here, let onclose handle it
+        };
+    }
+
+    closeWebSocket() {
+        this.stopHeartbeat();
+        if (this.websocket) {
+            const socket = this.websocket;
+            this.websocket = null;
+            socket.onopen = socket.onmessage = socket.onclose = socket.onerror = null;
+            if (socket.readyState === WebSocket.CONNECTING || socket.readyState === WebSocket.OPEN) {
+                socket.close(1000);
+            }
+        }
+    }
+
+    send(payload) {
+        if (this.websocket && this.websocket.readyState === WebSocket.OPEN) {
+            this.websocket.send(JSON.stringify(payload));
+            return true;
+        }
+        return false;
+    }
+
+    startHeartbeat(interval) {
+        this.stopHeartbeat();
+        this.heartbeatInterval = interval || 30000;
+        this.unsentHeartbeats = 0;
+        this.heartbeatTimer = setInterval(() => this.heartbeat(), this.heartbeatInterval);
+    }
+
+    stopHeartbeat() {
+        clearInterval(this.heartbeatTimer);
+        this.heartbeatTimer = null;
+    }
+
+    heartbeat() {
+        const socket = this.websocket;
+        if (!socket || socket.readyState !== WebSocket.OPEN) {
+            this.reportStale('сокет не в состоянии OPEN');
+            return;
+        }
+
+        // Если предыдущие heartbeat так и не ушли из буфера, соединение фактически мертво
+        this.unsentHeartbeats = socket.bufferedAmount > 0 ? this.unsentHeartbeats + 1 : 0;
+        if (this.unsentHeartbeats >= 2) {
+            this.reportStale('heartbeat не отправляются');
+            return;
+        }
+
+        this.send({ op: 3 });
+
+        if (Date.now() - this.lastMessageAt > this.staleAfter) {
+            this.verifyConnection();
+        }
+    }
+
+    /**
+     * Lanyard не подтверждает heartbeat, поэтому «тишину» в сокете
+     * проверяем через REST: если там другие данные, сокет пропустил обновления.
+     */
+    async verifyConnection() {
+        if (this.verifying) return;
+        this.verifying = true;
+
+        try {
+            const presence = await this.fetchPresence();
+            if (presence && this.getPresenceKey(presence) !== this.presenceKeys[this.userId]) {
+                // Данные уже свежие из REST, так что индикатор остаётся live,
+                // а пропустивший обновления сокет переподключается без перехода в stale
+                this.restReceivedAt = Date.now();
+                this.handlePresence(presence, this.userId);
+                console.log('Соединение с Lanyard устарело: REST данные расходятся с WebSocket');
+                this.reconnectNow({ force: true });
+            } else {
+                this.lastMessageAt = Date.now();
+            }
+        } finally {
+            this.verifying = false;
+        }
+    }
+
+    isRestFresh() {
+        return Date.now() - this.restReceivedAt < this.restFreshFor;
+    }
+
+    reportStale(reason) {
+        console.log('Соединение с Lanyard устарело:', reason);
+        this.setState('stale');
+        this.reconnectNow();
+    }
+
+    getPresenceKey(presence) {
+        const activities = (presence.activities || []).map(activity =>
+            [activity.type, activity.name, activity.details, activity.state].join('|')
+        );
+        return JSON.stringify([presence.discord_status, activities]);
+    }
+
+    isMultiUser() {
+        return this.userIds.length > 1;
+    }
+
+    /**
+     * INIT_STATE из последних известных данных: с него начинается запись,
+     * включённая посреди сессии.
+     */
+    getSnapshotFrame() {
+        const userIds = Object.keys(this.latestPresences);
+        if (userIds.length === 0) return null;
+
+        return {
+            op: 0,
+            t: 'INIT_STATE',
+            d: this.isMultiUser() ? { ...this.latestPresences } : this.latestPresences[this.userId]
+        };
+    }
+
+    handlePresence(presence, userId) {
+        this.presenceKeys[userId] = this.getPresenceKey(presence);
+        this.latestPresences[userId] = presence;
+        this.emitPresence(presence, userId === this.userId ? null : userId);
+    }
+
+    getRetryState() {
+        if (this.reconnectAttempts >= this.unavailableAfterAttempts) return 'unavailable';
+        return this.reconnectAttempts > 0 ? 'reconnecting' : 'connecting';
+    }
+
+    getReconnectDelay() {
+        const exponential = this.reconnectBaseDelay * Math.pow(2, this.reconnectAttempts - 1);
+        const capped = Math.min(this.reconnectMaxDelay, exponential);
+        // Jitter, чтобы вкладки не переподключались синхронно
+        return capped / 2 + Math.random() * capped / 2;
+    }
+
+    attemptReconnect() {
+        if (this.stopped || this.reconnectTimer) return;
+
+        this.reconnectAttempts++;
+        const delay = this.getReconnectDelay();
+        console.log(`Попытка переподключения ${this.reconnectAttempts} через ${Math.round(delay)} мс`);
+        this.setState(this.getRetryState());
+
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.connectWebSocket();
+        }, delay);
+    }
+
+    /**
+     * force переподключает и открытый сокет, даже если состояние не stale.
+     */
+    reconnectNow({ force = false } = {}) {
+        if (this.stopped || navigator.onLine === false) return;
+
+        const socket = this.websocket;
+        if (socket && socket.readyState === WebSocket.CONNECTING) return;
+        if (socket && socket.readyState === WebSocket.OPEN && this.state !== 'stale' && !force) return;
+
+        // Явный повод (сеть, вкладка, устаревший сокет) сбрасывает задержку
+        this.reconnectAttempts = 0;
+        this.connectWebSocket();
+    }
+
+    stop() {
+        this.stopped = true;
+        clearTimeout(this.reconnectTimer);
+        this.closeWebSocket();
+        window.removeEventListener('online', this.onOnline);
+        window.removeEventListener('offline', this.onOffline);
+        document.removeEventListener('visibilitychange', this.onVisibilityChange);
+    }
+}
+
+/**
+ * Статический JSON-файл в формате Lanyard ({ success, data } или сразу data),
+ * перечитывается раз в refreshInterval.
+ */
+class StaticPresenceProvider extends PresenceProvider {
+    constructor({ url, refreshInterval = 60000 } = {}) {
+        super();
+        this.url = url;
+        this.refreshInterval = refreshInterval;
+        this.timer = null;
+    }
+
+    connect() {
+        this.setState('connecting');
+        this.refresh();
+        if (this.refreshInterval > 0) {
+            this.timer = setInterval(() => this.refresh(), this.refreshInterval);
+        }
+    }
+
+    async refresh() {
+        try {
+            const response = await fetch(this.url, { cache: 'no-cache' });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const data = await response.json();
+            this.emitPresence(data && data.data ? data.data : data);
+        } catch (error) {
+            console.log('Не удалось прочитать статический presence:', error);
+            this.setState('unavailable');
+        }
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+}
+
+/**
+ * Локальный мок для разработки UI без сети.
+ * Данные задаются в формате Lanyard, чтобы проходить тот же путь нормализации.
+ *
+ *   mock.set({ discord_status: 'dnd' });
+ *   mock.play([{ delay: 1000, presence: MockPresenceProvider.presets.spotify }], { speed: 2 });
+ */
+class MockPresenceProvider extends PresenceProvider {
+    constructor({ presence = MockPresenceProvider.presets.online, script = null, loop = false } = {}) {
+        super();
+        this.cacheable = false;
+        this.presence = { ...presence };
+        this.script = script;
+        this.loop = loop;
+        this.timers = [];
+    }
+
+    connect() {
+        this.setState('connecting');
+        this.emitPresence(this.presence);
+        if (this.script) {
+            this.play(this.script, { loop: this.loop });
+        }
+    }
+
+    set(patch) {
+        this.presence = { ...this.presence, ...patch };
+        this.emitPresence(this.presence);
+    }
+
+    replace(presence) {
+        this.presence = { ...presence };
+        this.emitPresence(this.presence);
+    }
+
+    setMember(userId, presence) {
+        this.emitPresence(presence, userId);
+    }
+
+    simulateState(state) {
+        this.setState(state);
+    }
+
+    /**
+     * Проигрывает шаги по очереди: delay — пауза перед шагом,
+     * presence — заменяет данные целиком, patch — дополняет, state — меняет состояние.
+     */
+    play(steps, { speed = 1, loop = false } = {}) {
+        this.clearTimers();
+
+        let elapsed = 0;
+        steps.forEach((step, index) => {
+            elapsed += (step.delay || 0) / speed;
+            this.timers.push(setTimeout(() => {
+                if (step.state) this.simulateState(step.state);
+                if (step.presence) this.replace(step.presence);
+                if (step.patch) this.set(step.patch);
+
+                if (loop && index === steps.length - 1) {
+                    this.play(steps, { speed, loop });
+                }
+            }, elapsed));
+        });
+    }
+
+    clearTimers() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers = [];
+    }
+
+    stop() {
+        this.clearTimers();
+    }
+}
+
+MockPresenceProvider.presets = {
+    online: { discord_status: 'online', activities: [] },
+    idle: { discord_status: 'idle', activities: [] },
+    dnd: { discord_status: 'dnd', activities: [] },
+    offline: { discord_status: 'offline', activities: [] },
+    playing: {
+        discord_status: 'online',
+        activities: [{
+            type: 0,
+            name: 'Visual Studio Code',
+            details: 'Editing script.js',
+            state: 'Workspace: bio-site',
+            application_id: '383226320970055681',
+            timestamps: { start: Date.now() - 83 * 60 * 1000 },
+            assets: {
+                large_image: '565945770067623946',
+                large_text: 'Editing a JavaScript file',
+                small_image: '565945077491433494',
+                small_text: 'Visual Studio Code'
+            }
+        }]
+    },
+    streaming: {
+        discord_status: 'online',
+        activities: [{
+            type: 1,
+            name: 'Twitch',
+            details: 'Late night coding',
+            state: 'Software and Game Development',
+            url: 'https://www.twitch.tv/qqrze',
+            assets: { large_image: 'twitch:qqrze' }
+        }]
+    },
+    multiple: {
+        discord_status: 'dnd',
+        activities: [
+            {
+                type: 4,
+                name: 'Custom Status',
+                state: 'не беспокоить',
+                emoji: { id: '859424401186897930', name: 'sleepy', animated: false }
+            },
+            {
+                type: 0,
+                name: 'Counter-Strike 2',
+                details: 'Competitive',
+                state: 'Mirage',
+                timestamps: { start: Date.now() - 25 * 60 * 1000 }
+            },
+            {
+                type: 3,
+                name: 'YouTube',
+                details: '<b>не HTML</b> & <img src=x onerror=alert(1)>',
+                timestamps: { start: Date.now() - 5 * 60 * 1000 }
+            },
+            {
+                type: 5,
+                name: 'Arena',
+                details: 'Ranked'
+            }
+        ]
+    },
+    spotify: {
+        discord_status: 'online',
+        listening_to_spotify: true,
+        activities: [{
+            type: 2,
+            name: 'Spotify',
+            details: 'Midnight City',
+            state: 'M83',
+            timestamps: { start: Date.now() - 60 * 1000, end: Date.now() + 183 * 1000 }
+        }],
+        spotify: {
+            track_id: '1eyzqe2QqGZUmfcPZtrIyt',
+            song: 'Midnight City',
+            artist: 'M83',
+            album: "Hurry Up, We're Dreaming",
+            album_art_url: null,
+            timestamps: { start: Date.now() - 60 * 1000, end: Date.now() + 183 * 1000 }
+        }
+    },
+    customStatus: {
+        discord_status: 'idle',
+        activities: [{
+            type: 4,
+            name: 'Custom Status',
+            state: 'В темноте всегда есть свет',
+            emoji: { name: '🌙' }
+        }],
+        kv: {
+            project: 'bio-site',
+            mood: 'sleepy',
+            location: 'Somewhere in Russia'
+        }
+    }
+};
+
+/**
+ * Записывает gateway-кадры (INIT_STATE, PRESENCE_UPDATE) с отметками времени
+ * от начала записи. Файл можно проиграть через ReplayPresenceProvider.
+ */
+class PresenceRecorder {
+    constructor({ userId = null } = {}) {
+        this.userId = userId;
+        this.startedAt = Date.now();
+        this.frames = [];
+    }
+
+    record(frame) {
+        this.frames.push({
+            t: Date.now() - this.startedAt,
+            event: frame.t,
+            d: frame.d
+        });
+    }
+
+    toJSON() {
+        return {
+            version: 1,
+            recordedAt: new Date(this.startedAt).toISOString(),
+            userId: this.userId,
+            frames: this.frames
+        };
+    }
+
+    download() {
+        const blob = new Blob([JSON.stringify(this.toJSON(), null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `presence-${this.toJSON().recordedAt.replace(/[:.]/g, '-')}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
+
+/**
+ * Проигрывает запись PresenceRecorder в реальном (speed = 1) или ускоренном темпе.
+ * Отметки времени активностей сдвигаются к моменту проигрывания, чтобы
+ * счётчики «elapsed» и прогресс Spotify выглядели так же, как при записи.
+ */
+class ReplayPresenceProvider extends PresenceProvider {
+    constructor({ recording = null, url = null, speed = 1, loop = false, rebaseTimestamps = true } = {}) {
+        super();
+        this.cacheable = false;
+        this.recording = recording;
+        this.url = url;
+        this.speed = speed > 0 ? speed : 1;
+        this.loop = loop;
+        this.rebaseTimestamps = rebaseTimestamps;
+        this.timers = [];
+    }
+
+    async connect() {
+        this.setState('connecting');
+
+        if (!this.recording && this.url) {
+            try {
+                const response = await fetch(this.url, { cache: 'no-cache' });
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                this.recording = await response.json();
+            } catch (error) {
+                console.log('Не удалось загрузить запись presence:', error);
+                this.setState('unavailable');
+                return;
+            }
+        }
+
+        if (!this.recording || !Array.isArray(this.recording.frames)) {
+            console.log('Запись presence пуста или повреждена');
+            this.setState('unavailable');
+            return;
+        }
+
+        this.play();
+    }
+
+    play() {
+        this.clearTimers();
+        const frames = this.recording.frames;
+        const recordedAt = Date.parse(this.recording.recordedAt) || Date.now();
+        console.log(`Проигрываем ${frames.length} кадров, скорость x${this.speed}`);
+
+        frames.forEach((frame, index) => {
+            this.timers.push(setTimeout(() => {
+                this.applyFrame(frame, recordedAt);
+
+                if (index === frames.length - 1) {
+                    if (this.loop) {
+                        this.play();
+                    } else {
+                        console.log('Запись проиграна до конца');
+                    }
+                }
+            }, frame.t / this.speed));
+        });
+    }
+
+    applyFrame(frame, recordedAt) {
+        // Сдвиг = насколько «сейчас» позже момента, когда кадр был получен
+        const offset = this.rebaseTimestamps ? Date.now() - (recordedAt + frame.t) : 0;
+        const primaryId = this.recording.userId;
+
+        if (frame.event === 'INIT_STATE') {
+            const isMultiUser = frame.d && frame.d.discord_status === undefined;
+            if (isMultiUser) {
+                Object.entries(frame.d).forEach(([userId, raw]) => this.emitRecorded(raw, userId, offset));
+            } else {
+                this.emitRecorded(frame.d, primaryId, offset);
+            }
+        } else if (frame.event === 'PRESENCE_UPDATE') {
+            this.emitRecorded(frame.d, frame.d.user_id || primaryId, offset);
+        }
+    }
+
+    emitRecorded(raw, userId, offset) {
+        const shifted = offset ? this.shiftTimestamps(raw, offset) : raw;
+        this.emitPresence(shifted, !userId || userId === this.recording.userId ? null : userId);
+    }
+
+    shiftTimestamps(raw, offset) {
+        const shift = (timestamps) => {
+            if (!timestamps) return timestamps;
+            const result = { ...timestamps };
+            if (result.start) result.start += offset;
+            if (result.end) result.end += offset;
+            return result;
+        };
+
+        return {
+            ...raw,
+            activities: (raw.activities || []).map(activity => ({ ...activity, timestamps: shift(activity.timestamps) })),
+            spotify: raw.spotify ? { ...raw.spotify, timestamps: shift(raw.spotify.timestamps) } : raw.spotify
+        };
+    }
+
+    clearTimers() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers = [];
+    }
+
+    stop() {
+        this.clearTimers();
+    }
+}
+
+/**
+ * Создаёт провайдер по секции presence из profile.json.
+ * provider: lanyard | self-hosted | static | mock | replay
+ * memberIds — дополнительные пользователи для ростера (только Lanyard)
+ */
+function createPresenceProvider(config = {}, { userId = null, memberIds = [] } = {}) {
+    switch (config.provider || 'lanyard') {
+        case 'mock':
+            return new MockPresenceProvider({ script: config.script || null, loop: Boolean(config.loop) });
+        case 'static':
+            return new StaticPresenceProvider({ url: config.url, refreshInterval: config.refreshInterval });
+        case 'replay':
+            return new ReplayPresenceProvider({ url: config.url, speed: Number(config.speed) || 1, loop: Boolean(config.loop) });
+        case 'self-hosted':
+            if (!config.url) {
+                console.log('Для self-hosted провайдера нужен presence.url');
+                return null;
+            }
+            return userId ? new LanyardProvider({ userId, memberIds, apiUrl: config.url, socketUrl: config.socketUrl }) : null;
+        case 'lanyard':
+            return userId ? new LanyardProvider({ userId, memberIds }) : null;
+        default:
+            console.log('Неизвестный presence провайдер:', config.provider);
+            return null;
+    }
+}
@@ -0,0 +1,137 @@
+// Ростер команды: аватар, статус и текущая активность каждого участника.
+// Участники задаются в profile.json (roster), данные приходят через subscribe_to_ids.
+class PresenceRoster {
+    constructor(container, members) {
+        this.container = container;
+        this.members = members.filter(member => member.discordId);
+        this.items = new Map();
+        this.knownStatuses = ['online', 'idle', 'dnd', 'offline', 'unknown'];
+        this.build();
+    }
+
+    build() {
+        const section = document.createElement('section');
+        section.className = 'presence-roster';
+        section.setAttribute('aria-label', i18n.t('roster.title'));
+
+        const title = document.createElement('h2');
+        title.className = 'roster-title';
+        title.textContent = i18n.t('roster.title');
+
+        const list = document.createElement('ul');
+        list.className = 'roster-list';
+
+        this.members.forEach(member => {
+            const item = this.createItem(member);
+            this.items.set(member.discordId, item);
+            list.appendChild(item.element);
+        });
+
+        section.append(title, list);
+        this.element = section;
+        this.title = title;
+        this.container.appendChild(section);
+    }
+
+    createItem(member) {
+        const element = document.createElement('li');
+        element.className = 'roster-member';
+        element.dataset.userId = member.discordId;
+
+        const avatarWrapper = document.createElement('div');
+        avatarWrapper.className = 'roster-avatar';
+
+        const avatar = document.createElement('img');
+        avatar.alt = '';
+        avatar.loading = 'lazy';
+        if (member.avatar) {
+            avatar.src = member.avatar;
+        }
+        avatar.hidden = !member.avatar;
+
+        const dot = document.createElement('span');
+        dot.className = 'roster-status-dot';
+
+        avatarWrapper.append(avatar, dot);
+
+        const info = document.createElement('div');
+        info.className = 'roster-info';
+
+        const name = document.createElement('span');
+        name.className = 'roster-name';
+        name.textContent = member.name || member.discordId;
+
+        const activity = document.createElement('span');
+        activity.className = 'roster-activity';
+
+        info.append(name, activity);
+        element.append(avatarWrapper, info);
+
+        const item = { member, element, avatar, dot, name, activity, presence: null };
+        this.setStatus(item, 'unknown', '');
+        return item;
+    }
+
+    // После смены языка перерисовываем заголовок и подписи по последнему известному presence
+    localize() {
+        this.element.setAttribute('aria-label', i18n.t('roster.title'));
+        this.title.textContent = i18n.t('roster.title');
+        this.items.forEach((item, userId) => {
+            if (item.presence) {
+                this.update(userId, item.presence);
+            } else {
+                this.setStatus(item, 'unknown', '');
+            }
+        });
+    }
+
+    update(userId, presence) {
+        const item = this.items.get(userId);
+        if (!item) return;
+        item.presence = presence;
+
+        // Аватар и имя из конфига важнее данных Discord
+        if (!item.member.avatar && presence.user && presence.user.avatarUrl) {
+            item.avatar.src = presence.user.avatarUrl;
+            item.avatar.hidden = false;
+        }
+        if (!item.member.name && presence.user) {
+            item.name.textContent = presence.user.displayName;
+        }
+
+        this.setStatus(item, presence.status, presence.status === 'offline' ? '' : this.describeActivity(presence));
+    }
+
+    setStatus(item, status, activityText) {
+        const label = i18n.t(`status.${this.knownStatuses.includes(status) ? status : 'unknown'}`);
+
+        item.element.dataset.status = status;
+        item.dot.title = label;
+        item.activity.textContent = activityText || label;
+        item.element.setAttribute('aria-label', `${item.name.textContent}: ${label}${activityText ? `, ${activityText}` : ''}`);
+    }
+
+    describeActivity(presence) {
+        if (presence.spotify && presence.spotify.song) {
+            return i18n.t('roster.listening', { song: presence.spotify.song, artist: presence.spotify.artist.split(';')[0].trim() });
+        }
+
+        const activity = presence.activities.find(item => item.type !== 4 && !(item.type === 2 && item.name === 'Spotify'));
+        if (activity) {
+            return `${ActivityList.getTypeLabel(activity.type)} ${activity.name}`;
+        }
+
+        const custom = presence.activities.find(item => item.type === 4 && item.state);
+        if (custom) {
+            return `${custom.emoji && !custom.emoji.id ? `${custom.emoji.name} ` : ''}${custom.state}`;
+        }
+        return '';
+    }
+
+    destroy() {
+        if (this.element) {
+            this.element.remove();
+        }
+        this.items.clear();
+    }
+}
@@ -0,0 +1,186 @@
+/**
+ * ProfileConfig - Loads profile.json and applies it to the page
+ * Every identity value (card, links, tooltips, modal, presence) is read from here
+ * Links are completed from their platform in SocialLinks (social-links.js)
+ */
+let profileConfigPromise = null;
+
+class ProfileConfig {
+    constructor(data = {}) {
+        this.name = data.name || '';
+        this.avatar = data.avatar || '';
+        this.banner = data.banner || '';
+        this.location = data.location || '';
+        this.quote = data.quote || '';
+        this.locationOverride = null;
+        this.quoteOverride = null;
+        this.discordId = data.discordId || null;
+        this.presence = data.presence || { provider: 'lanyard' };
+        this.availability = data.availability || null;
+        this.clock = data.clock || {};
+        this.roster = Array.isArray(data.roster) ? data.roster : [];
+        this.kv = Array.isArray(data.kv) ? data.kv : [];
+        this.links = (Array.isArray(data.links) ? data.links : [])
+            .map(link => SocialLinks.resolve(link))
+            .filter(link => link.value);
+        this.gallery = Array.isArray(data.gallery) ? data.gallery : [];
+        this.sounds = data.sounds || {};
+        this.particles = data.particles || {};
+        this.tilt = data.tilt || {};
+        this.theme = data.theme || {};
+        this.behavior = data.behavior || {};
+        this.music = {
+            tracks: data.music && Array.isArray(data.music.tracks) ? data.music.tracks : [],
+            visualizer: data.music && data.music.visualizer ? data.music.visualizer : {}
+        };
+    }
+
+    /**
+     * Fetches the config once and shares the result between all callers.
+     * Resolves with an empty config on failure or after `timeout` ms, so the static
+     * markup stays in place and a stalled request cannot hold the loading screen.
+     */
+    static load(url = 'profile.json', { timeout = 8000 } = {}) {
+        if (!profileConfigPromise) {
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), timeout);
+
+            profileConfigPromise = fetch(url, { cache: 'no-cache', signal: controller.signal })
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .then(data => new ProfileConfig(data))
+                .catch(error => {
+                    console.log('Profile config failed to load:', error);
+                    return new ProfileConfig();
+                })
+                .finally(() => clearTimeout(timer));
+        }
+        return profileConfigPromise;
+    }
+
+    getLink(id) {
+        return this.links.find(link => link.id === id) || null;
+    }
+
+    render() {
+        this.renderIdentity();
+        this.renderLinks();
+    }
+
+    /**
+     * Re-applies translated strings after a language switch without rebuilding the links,
+     * so listeners attached to them stay in place
+     */
+    localize() {
+        this.renderIdentity();
+        this.links.forEach(link => {
+            const button = document.querySelector(`.social-button[data-link="${link.id}"]`);
+            if (!button) return;
+
+            button.setAttribute('aria-label', this.getLinkAriaLabel(link));
+            const text = button.querySelector('.social-text');
+            if (text) {
+                text.textContent = i18n.pick(link.label);
+            }
+        });
+    }
+
+    renderIdentity() {
+        if (this.name) {
+            document.title = `${this.name} - Bio`;
+            const username = document.querySelector('.username');
+            if (username) {
+                username.textContent = this.name;
+            }
+        }
+
+        const avatar = document.querySelector('.avatar');
+        if (avatar) {
+            if (this.avatar) {
+                avatar.src = this.avatar;
+            }
+            if (this.name) {
+                avatar.alt = i18n.t('profile.avatarAlt', { name: this.name });
+                avatar.setAttribute('aria-label', i18n.t('profile.avatarLabel', { name: this.name }));
+            }
+        }
+
+        const banner = document.querySelector('.banner-img');
+        if (banner && this.banner) {
+            banner.src = this.banner;
+        }
+
+        this.renderLocation(this.locationOverride);
+        this.renderQuote(this.quoteOverride);
+    }
+
+    /**
+     * @param {string|null} override - live value (e.g. from Lanyard KV); null shows the configured one
+     */
+    renderLocation(override = null) {
+        this.locationOverride = override;
+        const text = override || i18n.pick(this.location);
+        const location = document.querySelector('.location');
+        if (!location || !text) return;
+
+        const icon = location.querySelector('.location-icon');
+        location.replaceChildren(...(icon ? [icon] : []), document.createTextNode(text));
+    }
+
+    renderQuote(override = null) {
+        this.quoteOverride = override;
+        const text = override || i18n.pick(this.quote);
+        const quote = document.querySelector('.quote');
+        if (quote && text) {
+            quote.textContent = `"${text}"`;
+        }
+    }
+
+    renderLinks() {
+        const container = document.querySelector('.social-links');
+        if (!container || this.links.length === 0) return;
+
+        container.replaceChildren(...this.links.map(link => this.createLinkButton(link)));
+    }
+
+    /**
+     * "open" links stay real anchors; copy and QR links act in place, so they are buttons
+     */
+    createLinkButton(link) {
+        let button;
+        if (link.action === 'open') {
+            button = document.createElement('a');
+            button.href = link.href;
+            button.target = '_blank';
+            button.rel = 'noopener noreferrer';
+        } else {
+            button = document.createElement('button');
+            button.type = 'button';
+        }
+        button.className = 'social-button';
+        button.dataset.link = link.id;
+        button.dataset.platform = link.platform;
+        button.dataset.action = link.action;
+        button.setAttribute('aria-label', this.getLinkAriaLabel(link));
+
+        const icon = document.createElement('span');
+        icon.className = 'social-icon';
+        icon.setAttribute('aria-hidden', 'true');
+        icon.textContent = link.icon;
+
+        const text = document.createElement('span');
+        text.className = 'social-text';
+        text.textContent = i18n.pick(link.label);
+
+        button.append(icon, text);
+        return button;
+    }
+
+    getLinkAriaLabel(link) {
+        return i18n.pick(link.ariaLabel || link.tooltip) || SocialLinks.describe(link);
+    }
+}
@@ -0,0 +1,449 @@
+/**
+ * QrCode - QR code encoder (ISO/IEC 18004, byte mode) so QR links need no library or server
+ * QrCode.encode(text) picks the smallest version that fits, qr.toSvg() draws it.
+ * Follows the reference algorithm: function patterns, Reed-Solomon blocks, zigzag
+ * placement and the mask with the lowest penalty score
+ */
+class QrCode {
+    /**
+     * @param {string} text
+     * @param {{ ecc?: 'L'|'M'|'Q'|'H', mask?: number }} options - mask -1 chooses automatically
+     */
+    static encode(text, { ecc = 'M', mask = -1 } = {}) {
+        const bytes = Array.from(new TextEncoder().encode(text));
+
+        let version = 1;
+        for (; ; version++) {
+            const countBits = version <= 9 ? 8 : 16;
+            if (4 + countBits + bytes.length * 8 <= QrCode.getNumDataCodewords(version, ecc) * 8) break;
+            if (version === 40) {
+                throw new RangeError('Text is too long for a QR code');
+            }
+        }
+
+        const capacity = QrCode.getNumDataCodewords(version, ecc) * 8;
+        const bits = [];
+        const append = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) {
+                bits.push((value >>> i) & 1);
+            }
+        };
+
+        append(0b0100, 4); // byte mode
+        append(bytes.length, version <= 9 ? 8 : 16);
+        bytes.forEach(byte => append(byte, 8));
+        append(0, Math.min(4, capacity - bits.length));
+        append(0, (8 - (bits.length % 8)) % 8);
+        for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) {
+            append(pad, 8);
+        }
+
+        const codewords = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+        }
+        return new QrCode(version, ecc, codewords, mask);
+    }
+
+    constructor(version, ecc, dataCodewords, mask = -1) {
+        this.version = version;
+        this.ecc = ecc;
+        this.size = version * 4 + 17;
+        this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+        this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+
+        this.drawFunctionPatterns();
+        this.drawCodewords(this.addEccAndInterleave(dataCodewords));
+
+        if (mask === -1) {
+            let lowest = Infinity;
+            for (let candidate = 0; candidate < 8; candidate++) {
+                this.applyMask(candidate);
+                this.drawFormatBits(candidate);
+                const penalty = this.getPenaltyScore();
+                if (penalty < lowest) {
+                    mask = candidate;
+                    lowest = penalty;
+                }
+                this.applyMask(candidate); // XOR again to undo
+            }
+        }
+
+        this.mask = mask;
+        this.applyMask(mask);
+        this.drawFormatBits(mask);
+        this.isFunction = null;
+    }
+
+    getModule(x, y) {
+        return x >= 0 && x < this.size && y >= 0 && y < this.size && this.modules[y][x];
+    }
+
+    /**
+     * Dark modules on a light square with a quiet zone; the colours stay fixed
+     * whatever the page theme, scanners need the contrast
+     */
+    toSvg({ border = 4 } = {}) {
+        const namespace = 'http://www.w3.org/2000/svg';
+        const length = this.size + border * 2;
+        const svg = document.createElementNS(namespace, 'svg');
+        svg.setAttribute('viewBox', `0 0 ${length} ${length}`);
+        svg.setAttribute('shape-rendering', 'crispEdges');
+
+        const background = document.createElementNS(namespace, 'rect');
+        background.setAttribute('width', '100%');
+        background.setAttribute('height', '100%');
+        background.setAttribute('fill', '#ffffff');
+
+        const parts = [];
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (this.modules[y][x]) {
+                    parts.push(`M${x + border},${y + border}h1v1h-1z`);
+                }
+            }
+        }
+        const path = document.createElementNS(namespace, 'path');
+        path.setAttribute('d', parts.join(''));
+        path.setAttribute('fill', '#000000');
+
+        svg.append(background, path);
+        return svg;
+    }
+
+    setFunctionModule(x, y, isDark) {
+        this.modules[y][x] = isDark;
+        this.isFunction[y][x] = true;
+    }
+
+    drawFunctionPatterns() {
+        for (let i = 0; i < this.size; i++) {
+            this.setFunctionModule(6, i, i % 2 === 0);
+            this.setFunctionModule(i, 6, i % 2 === 0);
+        }
+
+        this.drawFinderPattern(3, 3);
+        this.drawFinderPattern(this.size - 4, 3);
+        this.drawFinderPattern(3, this.size - 4);
+
+        const positions = this.getAlignmentPatternPositions();
+        const last = positions.length - 1;
+        positions.forEach((y, i) => {
+            positions.forEach((x, j) => {
+                // The three corners already hold finder patterns
+                const isCorner = (i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0);
+                if (!isCorner) {
+                    this.drawAlignmentPattern(x, y);
+                }
+            });
+        });
+
+        // Reserve the format areas now; the real bits are drawn once the mask is known
+        this.drawFormatBits(0);
+        this.drawVersion();
+    }
+
+    drawFinderPattern(cx, cy) {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const x = cx + dx;
+                const y = cy + dy;
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                if (x >= 0 && x < this.size && y >= 0 && y < this.size) {
+                    this.setFunctionModule(x, y, distance !== 2 && distance !== 4);
+                }
+            }
+        }
+    }
+
+    drawAlignmentPattern(cx, cy) {
+        for (let dy = -2; dy <= 2; dy++) {
+            for (let dx = -2; dx <= 2; dx++) {
+                this.setFunctionModule(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+            }
+        }
+    }
+
+    getAlignmentPatternPositions() {
+        if (this.version === 1) return [];
+
+        const count = Math.floor(this.version / 7) + 2;
+        const step = Math.floor((this.version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+        const positions = [6];
+        for (let position = this.size - 7; positions.length < count; position -= step) {
+            positions.splice(1, 0, position);
+        }
+        return positions;
+    }
+
+    drawFormatBits(mask) {
+        const data = (QrCode.eccFormatBits[this.ecc] << 3) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+        const bit = i => ((bits >>> i) & 1) !== 0;
+
+        // Copy next to the top-left finder
+        for (let i = 0; i <= 5; i++) {
+            this.setFunctionModule(8, i, bit(i));
+        }
+        this.setFunctionModule(8, 7, bit(6));
+        this.setFunctionModule(8, 8, bit(7));
+        this.setFunctionModule(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) {
+            this.setFunctionModule(14 - i, 8, bit(i));
+        }
+
+        // Second copy split between the other two finders
+        for (let i = 0; i < 8; i++) {
+            this.setFunctionModule(this.size - 1 - i, 8, bit(i));
+        }
+        for (let i = 8; i < 15; i++) {
+            this.setFunctionModule(8, this.size - 15 + i, bit(i));
+        }
+        this.setFunctionModule(8, this.size - 8, true);
+    }
+
+    drawVersion() {
+        if (this.version < 7) return;
+
+        let remainder = this.version;
+        for (let i = 0; i < 12; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+        }
+        const bits = (this.version << 12) | remainder;
+
+        for (let i = 0; i < 18; i++) {
+            const isDark = ((bits >>> i) & 1) !== 0;
+            const a = this.size - 11 + (i % 3);
+            const b = Math.floor(i / 3);
+            this.setFunctionModule(a, b, isDark);
+            this.setFunctionModule(b, a, isDark);
+        }
+    }
+
+    /**
+     * Splits the data into blocks, appends each block's error correction bytes
+     * and interleaves the blocks column by column
+     */
+    addEccAndInterleave(data) {
+        const blockCount = QrCode.errorCorrectionBlocks[this.ecc][this.version];
+        const eccLength = QrCode.eccCodewordsPerBlock[this.ecc][this.version];
+        const rawCodewords = Math.floor(QrCode.getNumRawDataModules(this.version) / 8);
+        const shortBlocks = blockCount - (rawCodewords % blockCount);
+        const shortBlockLength = Math.floor(rawCodewords / blockCount);
+        const divisor = QrCode.reedSolomonDivisor(eccLength);
+
+        const blocks = [];
+        for (let i = 0, offset = 0; i < blockCount; i++) {
+            const block = data.slice(offset, offset + shortBlockLength - eccLength + (i < shortBlocks ? 0 : 1));
+            offset += block.length;
+            const ecc = QrCode.reedSolomonRemainder(block, divisor);
+            if (i < shortBlocks) {
+                block.push(0); // placeholder so every block has the same length
+            }
+            blocks.push(block.concat(ecc));
+        }
+
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, j) => {
+                if (i !== shortBlockLength - eccLength || j >= shortBlocks) {
+                    result.push(block[i]);
+                }
+            });
+        }
+        return result;
+    }
+
+    /**
+     * Zigzag through two-module columns from the bottom-right corner, skipping function modules
+     */
+    drawCodewords(codewords) {
+        let i = 0;
+        for (let right = this.size - 1; right >= 1; right -= 2) {
+            if (right === 6) {
+                right = 5; // the vertical timing pattern takes a whole column
+            }
+            for (let vertical = 0; vertical < this.size; vertical++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? this.size - 1 - vertical : vertical;
+                    if (!this.isFunction[y][x] && i < codewords.length * 8) {
+                        this.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+                        i++;
+                    }
+                }
+            }
+        }
+    }
+
+    applyMask(mask) {
+        const condition = QrCode.masks[mask];
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (!this.isFunction[y][x] && condition(x, y)) {
+                    this.modules[y][x] = !this.modules[y][x];
+                }
+            }
+        }
+    }
+
+    getPenaltyScore() {
+        const size = this.size;
+        let result = 0;
+
+        // Runs of one colour and finder-like patterns, in rows and then in columns
+        for (let pass = 0; pass < 2; pass++) {
+            for (let a = 0; a < size; a++) {
+                let runColor = false;
+                let runLength = 0;
+                const history = [0, 0, 0, 0, 0, 0, 0];
+                for (let b = 0; b < size; b++) {
+                    const color = pass === 0 ? this.modules[a][b] : this.modules[b][a];
+                    if (color === runColor) {
+                        runLength++;
+                        if (runLength === 5) {
+                            result += 3;
+                        } else if (runLength > 5) {
+                            result++;
+                        }
+                    } else {
+                        this.addRunToHistory(runLength, history);
+                        if (!runColor) {
+                            result += this.countFinderPatterns(history) * 40;
+                        }
+                        runColor = color;
+                        runLength = 1;
+                    }
+                }
+                result += this.terminateRuns(runColor, runLength, history) * 40;
+            }
+        }
+
+        // 2x2 blocks of one colour
+        for (let y = 0; y < size - 1; y++) {
+            for (let x = 0; x < size - 1; x++) {
+                const color = this.modules[y][x];
+                if (color === this.modules[y][x + 1] && color === this.modules[y + 1][x] && color === this.modules[y + 1][x + 1]) {
+                    result += 3;
+                }
+            }
+        }
+
+        // Balance of dark and light modules
+        const dark = this.modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+        const total = size * size;
+        result += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+        return result;
+    }
+
+    addRunToHistory(runLength, history) {
+        if (history[0] === 0) {
+            runLength += this.size; // the light quiet zone extends the first run
+        }
+        history.pop();
+        history.unshift(runLength);
+    }
+
+    countFinderPatterns(history) {
+        const n = history[1];
+        const core = n > 0 && history[2] === n && history[3] === n * 3 && history[4] === n && history[5] === n;
+        return (core && history[0] >= n * 4 && history[6] >= n ? 1 : 0) +
+            (core && history[6] >= n * 4 && history[0] >= n ? 1 : 0);
+    }
+
+    terminateRuns(runColor, runLength, history) {
+        if (runColor) {
+            this.addRunToHistory(runLength, history);
+            runLength = 0;
+        }
+        this.addRunToHistory(runLength + this.size, history);
+        return this.countFinderPatterns(history);
+    }
+
+    static getNumRawDataModules(version) {
+        let result = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const alignment = Math.floor(version / 7) + 2;
+            result -= (25 * alignment - 10) * alignment - 55;
+            if (version >= 7) {
+                result -= 36;
+            }
+        }
+        return result;
+    }
+
+    static getNumDataCodewords(version, ecc) {
+        return Math.floor(QrCode.getNumRawDataModules(version) / 8) -
+            QrCode.eccCodewordsPerBlock[ecc][version] * QrCode.errorCorrectionBlocks[ecc][version];
+    }
+
+    static reedSolomonDivisor(degree) {
+        const result = new Array(degree - 1).fill(0).concat([1]);
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < result.length; j++) {
+                result[j] = QrCode.multiply(result[j], root);
+                if (j + 1 < result.length) {
+                    result[j] ^= result[j + 1];
+                }
+            }
+            root = QrCode.multiply(root, 0x02);
+        }
+        return result;
+    }
+
+    static reedSolomonRemainder(data, divisor) {
+        const result = divisor.map(() => 0);
+        data.forEach(byte => {
+            const factor = byte ^ result.shift();
+            result.push(0);
+            divisor.forEach((coefficient, i) => {
+                result[i] ^= QrCode.multiply(coefficient, factor);
+            });
+        });
+        return result;
+    }
+
+    // Multiplication in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+    static multiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    }
+}
+
+QrCode.eccFormatBits = { L: 1, M: 0, Q: 3, H: 2 };
+
+QrCode.masks = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+    (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+    (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0
+];
+
+// Tables from the standard, indexed by version (index 0 unused)
+QrCode.eccCodewordsPerBlock = {
+    L: [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    M: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    Q: [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    H: [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+};
+
+QrCode.errorCorrectionBlocks = {
+    L: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    M: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    Q: [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+    H: [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+};
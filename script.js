@@ -1,137 +1,402 @@
 /**
  * ParticleSystem - Creates and manages interactive particle effects
- * Optimized for performance with limited particle count and efficient rendering
+ * Collects input on the page and drives a ParticleEngine (particle-engine.js):
+ * inside a worker with an OffscreenCanvas where supported, otherwise on the main thread
  */
 class ParticleSystem {
-    constructor() {
+    constructor(config = {}) {
         this.canvas = document.getElementById('particles');
-        this.ctx = this.canvas.getContext('2d');
-        this.particles = [];
-        this.mouse = { x: 0, y: 0 };
-        this.maxParticles = 50; // Limit total particles for performance
-        this.resize();
+        this.config = config;
+        this.preset = ParticleEngine.presets[config.preset] ? config.preset : 'trail';
+        this.worker = null;
+        this.engine = null;
+        this.frameId = null;
+        this.enabled = true;
         this.init();
     }
 
-    resize() {
-        this.canvas.width = window.innerWidth;
-        this.canvas.height = window.innerHeight;
-    }
-
     init() {
-        window.addEventListener('resize', () => this.resize());
-        document.addEventListener('mousemove', (e) => {
-            this.mouse.x = e.clientX;
-            this.mouse.y = e.clientY;
-            this.createParticle(e.clientX, e.clientY);
-        });
-        this.animate();
-    }
-
-    createParticle(x, y) {
-        // Reduce to 1 particle per mouse move and make smaller
-        if (this.particles.length < this.maxParticles) {
-            this.particles.push({
-                x: x + (Math.random() - 0.5) * 10, // Smaller spread
-                y: y + (Math.random() - 0.5) * 10,
-                vx: (Math.random() - 0.5) * 2, // Slower velocity
-                vy: (Math.random() - 0.5) * 2,
-                life: 1,
-                decay: Math.random() * 0.03 + 0.02, // Faster decay
-                size: Math.random() * 1.5 + 1, // Smaller size: 1-2.5px
-                color: `hsl(${0 + Math.random() * 60}, 30%, ${20 + Math.random() * 20}%)`
-            });
+        if (!this.startWorker()) {
+            this.startMainThread();
         }
-    }
 
-    updateParticles() {
-        // Use more efficient loop and add gravity only occasionally
-        for (let i = this.particles.length - 1; i >= 0; i--) {
-            const particle = this.particles[i];
-            particle.x += particle.vx;
-            particle.y += particle.vy;
-            particle.life -= particle.decay;
-            // Reduce gravity effect for better performance
-            if (Math.random() < 0.3) { // Only apply gravity 30% of the time
-                particle.vy += 0.05;
+        window.addEventListener('resize', () => this.resize());
+        this.setupPointerInput();
+        document.addEventListener('click', (e) => this.send('click', { x: e.clientX, y: e.clientY }));
+        document.addEventListener('music:beat', (e) => this.handleBeat(e.detail));
+        document.addEventListener('theme:change', (e) => this.setTheme(e.detail.theme));
+        document.addEventListener('visibilitychange', () => {
+            if (this.enabled) {
+                this.send(document.hidden ? 'pause' : 'resume');
             }
+        });
+    }
 
-            if (particle.life <= 0) {
-                this.particles.splice(i, 1);
+    /**
+     * Turning particles off stops the render loop entirely, not just hides the canvas
+     */
+    setEnabled(enabled) {
+        if (enabled === this.enabled) return;
+
+        this.enabled = enabled;
+        this.canvas.hidden = !enabled;
+        this.send(enabled && !document.hidden ? 'resume' : 'pause');
+    }
+
+    /**
+     * Mouse, pen and touch share one path: dragging a finger spawns particles
+     * like moving the mouse does, and a short tap leaves a ripple
+     */
+    setupPointerInput() {
+        let tapStart = null;
+        let touchScrolling = false;
+
+        document.addEventListener('pointermove', (e) => {
+            this.send('pointer', { x: e.clientX, y: e.clientY });
+        });
+        document.addEventListener('pointerdown', (e) => {
+            tapStart = e.pointerType === 'touch' ? { x: e.clientX, y: e.clientY, time: performance.now() } : null;
+        });
+        document.addEventListener('pointerup', (e) => {
+            if (e.pointerType !== 'touch') return;
+
+            const isTap = tapStart &&
+                Math.hypot(e.clientX - tapStart.x, e.clientY - tapStart.y) < 10 &&
+                performance.now() - tapStart.time < 300;
+            if (isTap) {
+                this.send('ripple', { x: e.clientX, y: e.clientY });
+            }
+            // A lifted finger no longer points anywhere
+            this.send('leave');
+            tapStart = null;
+        });
+        document.addEventListener('pointercancel', (e) => {
+            touchScrolling = e.pointerType === 'touch';
+            this.send('leave');
+        });
+        document.documentElement.addEventListener('pointerleave', () => this.send('leave'));
+
+        // Once a drag turns into a page scroll the browser cancels the pointer and
+        // sends no more pointermove; touchmove keeps firing, so it takes over from there
+        document.addEventListener('touchmove', (e) => {
+            const touch = e.touches[0];
+            if (touchScrolling && touch) {
+                this.send('pointer', { x: touch.clientX, y: touch.clientY });
             }
+        }, { passive: true });
+        const endTouch = (e) => {
+            if (e.touches.length === 0 && touchScrolling) {
+                touchScrolling = false;
+                this.send('leave');
+            }
+        };
+        document.addEventListener('touchend', endTouch, { passive: true });
+        document.addEventListener('touchcancel', endTouch, { passive: true });
+    }
+
+    getViewport() {
+        return {
+            width: window.innerWidth,
+            height: window.innerHeight,
+            dpr: window.devicePixelRatio || 1
+        };
+    }
+
+    startWorker() {
+        const supported = typeof Worker === 'function' &&
+            typeof this.canvas.transferControlToOffscreen === 'function';
+        if (!supported || this.config.worker === false) return false;
+
+        try {
+            const offscreen = this.canvas.transferControlToOffscreen();
+            this.worker = new Worker('particle-worker.js');
+            this.worker.addEventListener('error', (e) => this.fallbackToMainThread(e));
+            this.worker.postMessage({
+                type: 'init',
+                canvas: offscreen,
+                ...this.getViewport(),
+                preset: this.preset,
+                overrides: this.config.presets || {},
+                // Same rule as the main thread: no render loop for a hidden or disabled canvas
+                paused: !this.enabled || document.hidden
+            }, [offscreen]);
+            return true;
+        } catch (error) {
+            console.log('Particle worker unavailable:', error);
+            this.worker = null;
+            return false;
+        }
+    }
+
+    /**
+     * A canvas that was handed to a worker can never get a 2d context again,
+     * so a failed worker is replaced together with a fresh canvas element
+     */
+    fallbackToMainThread(error) {
+        console.log('Particle worker failed, rendering on the main thread:', error.message || error);
+        this.worker.terminate();
+        this.worker = null;
+
+        const canvas = this.canvas.cloneNode(false);
+        this.canvas.replaceWith(canvas);
+        this.canvas = canvas;
+        this.startMainThread();
+    }
+
+    startMainThread() {
+        this.engine = new ParticleEngine({
+            canvas: this.canvas,
+            ...this.getViewport(),
+            overrides: this.config.presets || {}
+        });
+        this.engine.setPreset(this.preset);
+        if (this.enabled && !document.hidden) {
+            this.resume();
+        }
+    }
+
+    resume() {
+        if (this.engine.running) return;
+        this.engine.start();
+
+        const loop = (now) => {
+            this.frameId = this.engine.frame(now) ? requestAnimationFrame(loop) : null;
+        };
+        this.frameId = requestAnimationFrame(loop);
+    }
+
+    pause() {
+        this.engine.stop();
+        if (this.frameId !== null) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
         }
     }
 
-    drawParticles() {
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    /**
+     * Routes one input message to wherever the engine lives
+     */
+    send(type, data = {}) {
+        // Input while disabled would pile up particles that all appear on resume
+        if (!this.enabled && ParticleSystem.inputMessages.includes(type)) return;
 
-        // Batch rendering for better performance
-        this.ctx.save();
-        for (const particle of this.particles) {
-            this.ctx.globalAlpha = particle.life;
-            this.ctx.shadowBlur = 10; // Reduced shadow blur
-            this.ctx.shadowColor = particle.color;
-            this.ctx.fillStyle = particle.color;
-            this.ctx.beginPath();
-            this.ctx.arc(particle.x, particle.y, particle.size, 0, Math.PI * 2);
-            this.ctx.fill();
+        if (this.worker) {
+            this.worker.postMessage({ type, ...data });
+            return;
+        }
+        if (!this.engine) return;
+
+        switch (type) {
+            case 'resize':
+                this.engine.resize(data.width, data.height, data.dpr);
+                break;
+            case 'preset':
+                this.engine.setPreset(data.name, data.overrides);
+                break;
+            case 'theme':
+                this.engine.setTheme(data.theme);
+                break;
+            case 'pointer':
+                this.engine.pointerMove(data.x, data.y);
+                break;
+            case 'leave':
+                this.engine.pointerLeave();
+                break;
+            case 'click':
+                this.engine.click(data.x, data.y);
+                break;
+            case 'ripple':
+                this.engine.ripple(data.x, data.y);
+                break;
+            case 'beat':
+                this.engine.beat(data);
+                break;
+            case 'quality':
+                this.engine.setQualityCap(data.cap);
+                break;
+            case 'pause':
+                this.pause();
+                break;
+            case 'resume':
+                this.resume();
+                break;
         }
-        this.ctx.restore();
     }
 
-    animate() {
-        this.updateParticles();
-        this.drawParticles();
-        // Use setTimeout for controlled frame rate to reduce CPU usage
-        setTimeout(() => requestAnimationFrame(() => this.animate()), 16); // ~60fps
+    resize() {
+        this.send('resize', this.getViewport());
+    }
+
+    /**
+     * Switches the active preset at runtime, e.g. particleSystem.setPreset('snow', { count: 120 })
+     * Config overrides from profile.json apply first, then the ones passed here
+     */
+    setPreset(name, overrides = {}) {
+        if (!ParticleEngine.presets[name]) {
+            console.log('Unknown particle preset:', name);
+            return false;
+        }
+
+        this.preset = name;
+        this.send('preset', { name, overrides });
+        return true;
+    }
+
+    getPresetNames() {
+        return Object.keys(ParticleEngine.presets);
+    }
+
+    setTheme(theme) {
+        this.send('theme', { theme: theme && theme.particles ? { palette: theme.particles } : {} });
+    }
+
+    /**
+     * Limits the adaptive quality ceiling (0.1-1), e.g. for weaker devices
+     */
+    setQualityCap(cap) {
+        this.send('quality', { cap });
+    }
+
+    /**
+     * The avatar position is only known on the page, the engine gets plain numbers
+     */
+    handleBeat({ strength, levels }) {
+        const avatar = document.querySelector('.avatar');
+        if (!avatar) return;
+
+        const rect = avatar.getBoundingClientRect();
+        if (rect.width === 0) return;
+
+        this.send('beat', {
+            centerX: rect.left + rect.width / 2,
+            centerY: rect.top + rect.height / 2,
+            radius: rect.width / 2,
+            strength,
+            levels
+        });
     }
 }
 
+// Messages that only carry user or music input, dropped while particles are off
+ParticleSystem.inputMessages = ['pointer', 'click', 'ripple', 'beat'];
+
 /**
- * SoundManager - Handles all audio effects and background music
- * Manages sound playback with proper error handling and volume control
+ * SoundManager - Handles interface sound effects through Web Audio
+ * Sounds are decoded once into buffers, so rapid clicks overlap instead of restarting one element
+ * Background music lives in MusicPlayer (music-player.js); the global mute covers both
  */
 class SoundManager {
-    constructor() {
-        this.sounds = {
-            click: document.getElementById('click-sound'),
-            hover: document.getElementById('hover-sound'),
-            scroll: document.getElementById('scroll-sound'),
-            music: document.getElementById('music')
-        };
-        this.isPlaying = false;
+    constructor(config = {}) {
+        this.storageKey = 'bio:sound';
+        this.effects = { ...SoundManager.defaults, ...(config.effects || {}) };
+        this.volume = typeof config.volume === 'number' ? config.volume : 0.3;
+        this.maxVoices = config.maxVoices || 8;
+        this.music = document.getElementById('music');
+        this.context = null;
+        this.masterGain = null;
+        this.buffers = new Map();
+        this.lastPlayedAt = new Map();
+        this.voices = new Set();
+        this.allowed = true;
+        // Settles when every effect buffer has loaded or failed; the preloader waits on it
+        this.ready = Promise.resolve();
+
+        const settings = this.loadSettings();
+        this.muted = settings.muted;
+        this.effectsEnabled = settings.effectsEnabled;
+
         this.init();
     }
 
     init() {
-        Object.values(this.sounds).forEach(sound => {
-            if (sound) {
-                sound.volume = 0.3;
+        this.setupContext();
+        this.setupUnlock();
+        this.setupEventListeners();
+        this.setupControls();
+        this.applyMute();
+        document.addEventListener('i18n:change', () => this.applyMute());
+    }
+
+    setupContext() {
+        const Context = window.AudioContext || window.webkitAudioContext;
+        if (!Context) {
+            console.log('Web Audio is not supported, sound effects are disabled');
+            return;
+        }
+
+        this.context = new Context();
+        this.masterGain = this.context.createGain();
+        this.masterGain.gain.value = this.volume;
+        this.masterGain.connect(this.context.destination);
+
+        this.ready = Promise.all(Object.entries(this.effects).map(([name, effect]) => this.loadBuffer(name, effect.src)));
+    }
+
+    async loadBuffer(name, src) {
+        if (!src) return;
+
+        try {
+            const response = await fetch(src);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
             }
-        });
-        
-        if (this.sounds.music) {
-            this.sounds.music.volume = 0.15;
+            const data = await response.arrayBuffer();
+            this.buffers.set(name, await this.context.decodeAudioData(data));
+        } catch (error) {
+            console.log(`Sound "${name}" failed to load:`, error);
         }
+    }
 
-        this.setupEventListeners();
+    /**
+     * Browsers keep a new AudioContext suspended until the first user gesture
+     */
+    setupUnlock() {
+        if (!this.context || this.context.state !== 'suspended') return;
+
+        const events = ['pointerdown', 'keydown', 'touchend'];
+        const unlock = () => {
+            this.context.resume().then(() => {
+                events.forEach(type => document.removeEventListener(type, unlock, true));
+            }).catch(error => console.log('Audio unlock failed:', error));
+        };
+        events.forEach(type => document.addEventListener(type, unlock, true));
     }
 
     play(soundName) {
-        const sound = this.sounds[soundName];
-        if (sound) {
-            try {
-                sound.currentTime = 0;
-                const playPromise = sound.play();
-                if (playPromise !== undefined) {
-                    playPromise.catch(e => {
-                        console.log('Sound play failed:', e);
-                        // Could show user notification here if needed
-                    });
-                }
-            } catch (error) {
-                console.log('Error playing sound:', error);
-            }
+        if (!this.context || this.muted || !this.effectsEnabled || !this.allowed) return;
+        if (this.context.state !== 'running') return;
+
+        const buffer = this.buffers.get(soundName);
+        const effect = this.effects[soundName];
+        if (!buffer || !effect) return;
+
+        // Per-sound rate limit: a fast mouse should not turn hover into a buzz
+        const now = performance.now();
+        if (now - (this.lastPlayedAt.get(soundName) || 0) < (effect.minInterval || 0)) return;
+        this.lastPlayedAt.set(soundName, now);
+
+        // Polyphony limit: drop the oldest voice to make room
+        if (this.voices.size >= this.maxVoices) {
+            const [oldest] = this.voices;
+            oldest.stop();
+        }
+
+        try {
+            const source = this.context.createBufferSource();
+            const gain = this.context.createGain();
+            source.buffer = buffer;
+            gain.gain.value = typeof effect.volume === 'number' ? effect.volume : 1;
+            source.connect(gain);
+            gain.connect(this.masterGain);
+
+            this.voices.add(source);
+            source.onended = () => {
+                this.voices.delete(source);
+                gain.disconnect();
+            };
+            source.start();
+        } catch (error) {
+            console.log('Error playing sound:', error);
         }
     }
 
@@ -139,71 +404,271 @@ class SoundManager {
         document.addEventListener('click', () => this.play('click'));
         
         document.querySelectorAll('.social-button, .avatar, .banner, .control-btn').forEach(element => {
-            element.addEventListener('mouseenter', () => this.play('hover'));
+            element.addEventListener('pointerenter', (e) => {
+                // A tap already plays the click sound
+                if (e.pointerType !== 'touch') {
+                    this.play('hover');
+                }
+            });
         });
         
-        let scrollTimeout;
+        // One sound per scroll gesture: play on the first event, re-arm after 150ms of quiet
+        let scrollTimeout = null;
         document.addEventListener('scroll', () => {
+            if (scrollTimeout === null) {
+                this.play('scroll');
+            }
             clearTimeout(scrollTimeout);
-            this.play('scroll');
-            scrollTimeout = setTimeout(() => {}, 100);
-        });
+            scrollTimeout = setTimeout(() => {
+                scrollTimeout = null;
+            }, 150);
+        }, { passive: true });
+    }
+
+    setupControls() {
+        this.muteButton = document.getElementById('mute-toggle');
+        this.effectsButton = document.getElementById('sfx-toggle');
+
+        if (this.muteButton) {
+            this.muteButton.addEventListener('click', () => this.setMuted(!this.muted));
+        }
+        if (this.effectsButton) {
+            this.effectsButton.addEventListener('click', () => this.setEffectsEnabled(!this.effectsEnabled));
+        }
+    }
+
+    setMuted(muted) {
+        this.muted = muted;
+        this.applyMute();
+        this.saveSettings();
+    }
+
+    setEffectsEnabled(enabled) {
+        this.effectsEnabled = enabled;
+        this.applyMute();
+        this.saveSettings();
+    }
+
+    /**
+     * Reduced effects silence interface sounds without touching the saved sfx preference
+     */
+    setAllowed(allowed) {
+        this.allowed = allowed;
+        this.applyMute();
     }
 
-    toggleMusic() {
-        const music = this.sounds.music;
-        if (!music) return '▶️';
+    applyMute() {
+        if (this.music) {
+            this.music.muted = this.muted;
+        }
+        if (this.masterGain) {
+            this.masterGain.gain.value = this.muted ? 0 : this.volume;
+        }
+
+        if (this.muteButton) {
+            this.muteButton.textContent = this.muted ? '🔇' : '🔊';
+            this.muteButton.setAttribute('aria-pressed', this.muted.toString());
+            this.muteButton.classList.toggle('is-active', !this.muted);
+            this.muteButton.setAttribute('aria-label', i18n.t(this.muted ? 'sound.unmute' : 'sound.mute'));
+        }
+        if (this.effectsButton) {
+            this.effectsButton.textContent = this.effectsEnabled ? '🔔' : '🔕';
+            this.effectsButton.setAttribute('aria-pressed', this.effectsEnabled.toString());
+            this.effectsButton.classList.toggle('is-active', this.effectsEnabled);
+            this.effectsButton.disabled = this.muted || !this.allowed;
+        }
+    }
 
+    loadSettings() {
         try {
-            if (this.isPlaying) {
-                music.pause();
-                this.isPlaying = false;
-                return '▶️';
-            } else {
-                const playPromise = music.play();
-                if (playPromise !== undefined) {
-                    playPromise.then(() => {
-                        this.isPlaying = true;
-                    }).catch(e => {
-                        console.log('Music play failed:', e);
-                        this.isPlaying = false;
-                        // Could show user notification here
-                    });
-                }
-                return '⏸️';
-            }
+            const saved = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+            return {
+                muted: Boolean(saved.muted),
+                effectsEnabled: saved.effectsEnabled !== false
+            };
+        } catch (error) {
+            return { muted: false, effectsEnabled: true };
+        }
+    }
+
+    saveSettings() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                muted: this.muted,
+                effectsEnabled: this.effectsEnabled
+            }));
         } catch (error) {
-            console.log('Error toggling music:', error);
-            return '▶️';
+            console.log('Sound settings could not be saved:', error);
         }
     }
 }
 
+SoundManager.defaults = {
+    click: { src: 'aud/click.wav', volume: 1, minInterval: 40 },
+    hover: { src: 'aud/hover.wav', volume: 0.6, minInterval: 80 },
+    scroll: { src: 'aud/scroll.wav', volume: 0.5, minInterval: 300 }
+};
+
 /**
- * LoadingScreen - Manages the initial loading animation and transition
- * Provides smooth loading experience with progress simulation
+ * LoadingScreen - Preloads what the first screen needs and shows real progress
+ * Every task has a weight and its own timeout; a failed or slow asset is logged and
+ * counted as done, so a missing file never keeps the page closed. The loader hides
+ * once all critical tasks have settled and the rest finished or had `patience` ms more
  */
 class LoadingScreen {
-    constructor() {
+    constructor({ patience = 800 } = {}) {
         this.loader = document.getElementById('loader');
         this.mainContent = document.getElementById('main-content');
+        this.bar = this.loader.querySelector('.loader-bar');
+        this.progressBar = this.loader.querySelector('.loader-progress');
+        this.percent = this.loader.querySelector('.loader-percent');
+        this.patience = patience;
+        this.tasks = [];
         this.progress = 0;
         this.init();
     }
 
     init() {
-        this.simulateLoading();
+        this.renderText();
+        this.renderProgress();
+    }
+
+    /**
+     * Replaces the letter spans with the translated word, keeping the animated dots
+     */
+    renderText() {
+        const text = this.loader.querySelector('.loading-text');
+        if (!text) return;
+
+        const letters = Array.from(i18n.t('loader.text'), (letter, index) => {
+            const span = document.createElement('span');
+            span.textContent = letter;
+            span.style.setProperty('--i', index);
+            return span;
+        });
+
+        const dots = text.querySelector('.dots');
+        text.replaceChildren(...letters, ...(dots ? [dots] : []));
+    }
+
+    /**
+     * Adds a promise to the progress. The returned promise never rejects: it resolves
+     * with the task's value, or with null after an error or timeout (0 disables the timeout)
+     */
+    track(name, promise, { weight = 1, critical = false, timeout = 5000 } = {}) {
+        const task = { name, weight, critical, done: false };
+        let timer = null;
+
+        const pending = [
+            Promise.resolve(promise).catch(error => {
+                console.log(`Loading "${name}" failed:`, error);
+                return null;
+            })
+        ];
+        if (timeout > 0) {
+            pending.push(new Promise(resolve => {
+                timer = setTimeout(() => {
+                    console.log(`Loading "${name}" timed out after ${timeout}ms`);
+                    resolve(null);
+                }, timeout);
+            }));
+        }
+
+        task.promise = Promise.race(pending).then(value => {
+            clearTimeout(timer);
+            task.done = true;
+            this.renderProgress();
+            return value;
+        });
+
+        this.tasks.push(task);
+        this.renderProgress();
+        return task.promise;
+    }
+
+    renderProgress() {
+        const total = this.tasks.reduce((sum, task) => sum + task.weight, 0);
+        const done = this.tasks.reduce((sum, task) => sum + (task.done ? task.weight : 0), 0);
+        // Tasks are registered as the page learns about them; the bar never moves back
+        this.progress = Math.max(this.progress, total > 0 ? Math.round((done / total) * 100) : 0);
+
+        if (this.progressBar) {
+            this.progressBar.style.width = `${this.progress}%`;
+        }
+        if (this.percent) {
+            this.percent.textContent = `${this.progress}%`;
+        }
+        if (this.bar) {
+            this.bar.setAttribute('aria-valuenow', this.progress.toString());
+        }
+    }
+
+    /**
+     * Call once every task is registered
+     */
+    async finish() {
+        await Promise.all(this.tasks.filter(task => task.critical).map(task => task.promise));
+        await Promise.race([
+            Promise.all(this.tasks.map(task => task.promise)),
+            new Promise(resolve => setTimeout(resolve, this.patience))
+        ]);
+
+        this.progress = 100;
+        this.renderProgress();
+        setTimeout(() => this.hideLoader(), 300);
+    }
+
+    waitForImage(image) {
+        return new Promise((resolve, reject) => {
+            if (!image || !image.getAttribute('src')) {
+                resolve(null);
+                return;
+            }
+            if (image.complete) {
+                resolve(image);
+                return;
+            }
+            image.addEventListener('load', () => resolve(image), { once: true });
+            image.addEventListener('error', () => reject(new Error(`Image ${image.src} did not load`)), { once: true });
+        });
+    }
+
+    loadImage(src) {
+        if (!src) return Promise.resolve(null);
+
+        const image = new Image();
+        image.src = src;
+        return this.waitForImage(image);
     }
 
-    simulateLoading() {
-        const interval = setInterval(() => {
-            this.progress += Math.random() * 15 + 5;
-            if (this.progress >= 100) {
-                this.progress = 100;
-                clearInterval(interval);
-                setTimeout(() => this.hideLoader(), 500);
+    waitForMedia(media) {
+        return new Promise((resolve, reject) => {
+            if (!media || !media.getAttribute('src') || media.readyState >= 1) {
+                resolve(media);
+                return;
             }
-        }, 200);
+            media.addEventListener('loadedmetadata', () => resolve(media), { once: true });
+            media.addEventListener('error', () => reject(new Error(`Media ${media.src} did not load`)), { once: true });
+        });
+    }
+
+    /**
+     * Webfonts only start downloading once something uses them, so the faces are requested explicitly
+     */
+    loadFonts() {
+        if (!document.fonts) return Promise.resolve();
+        return Promise.all(LoadingScreen.fonts.map(font => document.fonts.load(font))).then(() => document.fonts.ready);
+    }
+
+    waitForEvent(type, test = () => true) {
+        return new Promise(resolve => {
+            const listener = event => {
+                if (!test(event.detail)) return;
+                document.removeEventListener(type, listener);
+                resolve(event.detail);
+            };
+            document.addEventListener(type, listener);
+        });
     }
 
     hideLoader() {
@@ -217,61 +682,414 @@ class LoadingScreen {
     }
 }
 
+LoadingScreen.fonts = ['300 1em Poppins', '400 1em Poppins', '500 1em Poppins'];
+
+/**
+ * TimeDisplay - The owner's local time in their IANA timezone with the date,
+ * the difference from the visitor's clock and a day/night indicator
+ * An optional "asleep" window adds a hint so visitors know why replies may be slow
+ */
 class TimeDisplay {
-    constructor() {
+    constructor(config = {}) {
+        this.display = document.querySelector('.time-display');
         this.timeElement = document.getElementById('current-time');
+        this.timezone = this.isValidTimezone(config.timezone) ? config.timezone : null;
+        this.day = this.parseWindow(config.day) || this.parseWindow(TimeDisplay.defaultDay);
+        this.asleep = this.parseWindow(config.asleep);
+        this.partsFormatter = new Intl.DateTimeFormat('en-US', {
+            timeZone: this.timezone || undefined,
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric',
+            hourCycle: 'h23'
+        });
         this.init();
     }
 
     init() {
+        if (!this.display) return;
+
+        this.elements = {
+            phase: this.display.querySelector('.time-phase'),
+            value: this.display.querySelector('.time-value') || this.timeElement,
+            date: this.display.querySelector('.time-date'),
+            offset: this.display.querySelector('.time-offset'),
+            hint: this.display.querySelector('.time-hint')
+        };
+
         this.updateTime();
         setInterval(() => this.updateTime(), 1000);
+        document.addEventListener('i18n:change', () => this.updateTime());
+    }
+
+    isValidTimezone(timezone) {
+        if (!timezone) return false;
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+            return true;
+        } catch (error) {
+            console.log('Unknown clock timezone, showing the visitor\'s time:', timezone);
+            return false;
+        }
+    }
+
+    /**
+     * { from: "01:00", to: "08:00" } -> minutes of the day; to <= from wraps past midnight
+     */
+    parseWindow(range) {
+        if (!range) return null;
+
+        const [from, to] = [range.from, range.to].map(time => {
+            const match = /^(\d{1,2}):(\d{2})$/.exec(String(time).trim());
+            return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+        });
+        return from === null || to === null ? null : { from, to };
+    }
+
+    isWithin(minutes, range) {
+        return range.from <= range.to
+            ? minutes >= range.from && minutes < range.to
+            : minutes >= range.from || minutes < range.to;
+    }
+
+    getOwnerParts(date) {
+        const parts = {};
+        this.partsFormatter.formatToParts(date).forEach(part => {
+            if (part.type !== 'literal') {
+                parts[part.type] = Number(part.value);
+            }
+        });
+        return parts;
+    }
+
+    /**
+     * Minutes the owner's clock is ahead of the visitor's (negative when behind)
+     */
+    getOffsetDifference(date, parts) {
+        const ownerAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+        const wholeSeconds = Math.floor(date.getTime() / 1000) * 1000;
+        const ownerOffset = Math.round((ownerAsUtc - wholeSeconds) / 60000);
+        return ownerOffset + date.getTimezoneOffset();
+    }
+
+    formatDifference(minutes) {
+        if (minutes === 0) return i18n.t('clock.same');
+
+        const total = Math.abs(minutes);
+        const h = Math.floor(total / 60);
+        const m = total % 60;
+        let amount;
+        if (h === 0) {
+            amount = i18n.t('duration.minutes', { m });
+        } else if (m === 0) {
+            amount = i18n.t('duration.hours', { h });
+        } else {
+            amount = i18n.t('duration.hoursMinutes', { h, m });
+        }
+
+        return i18n.t(minutes > 0 ? 'clock.ahead' : 'clock.behind', { amount });
     }
 
     updateTime() {
         const now = new Date();
-        const timeString = now.toLocaleTimeString('ru-RU', {
-            hour: '2-digit',
-            minute: '2-digit',
-            second: '2-digit'
-        });
-        
-        if (this.timeElement) {
-            this.timeElement.textContent = timeString;
+        const parts = this.getOwnerParts(now);
+        const minutes = parts.hour * 60 + parts.minute;
+        const isDay = this.isWithin(minutes, this.day);
+        const isAsleep = this.asleep !== null && this.isWithin(minutes, this.asleep);
+        const timeZone = this.timezone || undefined;
+        const { phase, value, date, offset, hint } = this.elements;
+
+        if (value) {
+            value.textContent = now.toLocaleTimeString(i18n.locale, {
+                timeZone,
+                hour: '2-digit',
+                minute: '2-digit',
+                second: '2-digit'
+            });
+        }
+        if (date) {
+            date.textContent = now.toLocaleDateString(i18n.locale, {
+                timeZone,
+                weekday: 'short',
+                day: 'numeric',
+                month: 'short'
+            });
+        }
+        if (phase) {
+            phase.textContent = isDay ? '☀️' : '🌙';
+            phase.title = i18n.t(isDay ? 'clock.day' : 'clock.night');
         }
+        if (offset) {
+            // Without a configured timezone the clock is the visitor's own, nothing to compare
+            offset.textContent = this.timezone ? this.formatDifference(this.getOffsetDifference(now, parts)) : '';
+            offset.hidden = !this.timezone;
+        }
+        if (hint) {
+            hint.textContent = isAsleep ? i18n.t('clock.asleep') : '';
+            hint.hidden = !isAsleep;
+        }
+
+        this.display.dataset.phase = isDay ? 'day' : 'night';
     }
 }
 
+TimeDisplay.defaultDay = { from: '07:00', to: '20:00' };
+
 class CustomCursor {
     constructor() {
         this.cursor = document.createElement('div');
         this.cursor.className = 'custom-cursor';
         document.body.appendChild(this.cursor);
+        this.setEnabled(true);
         this.init();
     }
 
+    /**
+     * The system cursor is hidden only while the custom one is on, see .has-custom-cursor
+     */
+    setEnabled(enabled) {
+        this.cursor.hidden = !enabled;
+        document.documentElement.classList.toggle('has-custom-cursor', enabled);
+    }
+
     init() {
-        document.addEventListener('mousemove', (e) => {
+        document.addEventListener('pointermove', (e) => {
+            // Touch has no hovering pointer to follow, the system cursor is hidden anyway
+            this.cursor.classList.toggle('is-hidden', e.pointerType === 'touch');
             this.cursor.style.left = e.clientX + 'px';
             this.cursor.style.top = e.clientY + 'px';
         });
 
-        document.addEventListener('mousedown', () => {
+        document.addEventListener('pointerdown', (e) => {
+            this.cursor.classList.toggle('is-hidden', e.pointerType === 'touch');
             this.cursor.classList.add('clicked');
         });
 
-        document.addEventListener('mouseup', () => {
+        document.addEventListener('pointerup', () => {
             this.cursor.classList.remove('clicked');
         });
     }
 }
 
+/**
+ * CardTilt - 3D tilt of the profile card with layered parallax and a glare highlight
+ * Follows the mouse or pen on desktop and the device orientation on phones;
+ * the card chases its target angle through a damped spring instead of snapping to it
+ */
+class CardTilt {
+    constructor(card, options = {}) {
+        this.card = card;
+        this.intensity = 1;
+        this.enabled = true;
+        this.maxAngle = options.maxAngle || 15;
+        this.stiffness = options.stiffness || 170;
+        this.damping = options.damping || 18;
+        this.layers = options.layers || CardTilt.defaultLayers;
+        this.glareEnabled = options.glare !== false;
+        this.target = { x: 0, y: 0 };
+        this.current = { x: 0, y: 0 };
+        this.velocity = { x: 0, y: 0 };
+        this.frameId = null;
+        this.lastFrameAt = 0;
+        this.orientationBase = null;
+        this.init();
+    }
+
+    init() {
+        this.setupLayers();
+        if (this.glareEnabled) {
+            this.glare = document.createElement('div');
+            this.glare.className = 'card-glare';
+            this.glare.setAttribute('aria-hidden', 'true');
+            this.card.appendChild(this.glare);
+        }
+
+        this.card.addEventListener('pointermove', (e) => {
+            if (e.pointerType === 'touch') return;
+
+            const rect = this.card.getBoundingClientRect();
+            const x = (e.clientX - rect.left) / rect.width - 0.5;
+            const y = (e.clientY - rect.top) / rect.height - 0.5;
+            this.setTilt(y * 2, -x * 2);
+        });
+
+        this.card.addEventListener('pointerleave', (e) => {
+            if (e.pointerType !== 'touch') {
+                this.reset();
+            }
+        });
+
+        if (typeof DeviceOrientationEvent !== 'undefined' && window.matchMedia('(pointer: coarse)').matches) {
+            this.setupOrientation();
+        }
+    }
+
+    /**
+     * Layers sit at different depths: the bigger the depth, the further
+     * the element shifts towards the pointer as the card tilts
+     */
+    setupLayers() {
+        Object.entries(this.layers).forEach(([selector, depth]) => {
+            this.card.querySelectorAll(selector).forEach(element => {
+                element.classList.add('parallax-layer');
+                element.style.setProperty('--depth', depth);
+            });
+        });
+    }
+
+    /**
+     * iOS only delivers orientation events after an explicit permission prompt,
+     * which must be triggered from a user gesture - the first tap anywhere is used
+     */
+    setupOrientation() {
+        if (typeof DeviceOrientationEvent.requestPermission === 'function') {
+            document.addEventListener('click', () => {
+                DeviceOrientationEvent.requestPermission()
+                    .then(state => {
+                        if (state === 'granted') {
+                            this.listenOrientation();
+                        }
+                    })
+                    .catch(error => console.log('Orientation permission failed:', error));
+            }, { once: true });
+            return;
+        }
+
+        this.listenOrientation();
+    }
+
+    listenOrientation() {
+        window.addEventListener('deviceorientation', (e) => {
+            if (e.beta === null || e.gamma === null) return;
+
+            // The way the phone is held when the page opens counts as "flat"
+            if (!this.orientationBase) {
+                this.orientationBase = { beta: e.beta, gamma: e.gamma };
+            }
+
+            const x = (e.beta - this.orientationBase.beta) / 30;
+            const y = (e.gamma - this.orientationBase.gamma) / 30;
+            this.setTilt(-x, y);
+        });
+    }
+
+    /**
+     * Sets the angle the spring pulls towards
+     * @param {number} x rotation around the X axis, -1..1
+     * @param {number} y rotation around the Y axis, -1..1
+     */
+    setTilt(x, y) {
+        if (!this.enabled) return;
+
+        const clamp = value => Math.max(-1, Math.min(1, value));
+        this.target.x = clamp(x);
+        this.target.y = clamp(y);
+        this.card.classList.add('is-tilting');
+        this.startSpring();
+    }
+
+    setIntensity(intensity) {
+        this.intensity = intensity;
+        if (intensity === 0) {
+            this.reset();
+        }
+        this.apply();
+    }
+
+    reset() {
+        this.target.x = 0;
+        this.target.y = 0;
+        this.card.classList.remove('is-tilting');
+        this.startSpring();
+    }
+
+    /**
+     * Disabling snaps the card flat at once: springing back would be motion too
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (enabled) return;
+
+        if (this.frameId !== null) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+        }
+        this.target = { x: 0, y: 0 };
+        this.current = { x: 0, y: 0 };
+        this.velocity = { x: 0, y: 0 };
+        this.card.classList.remove('is-tilting');
+        this.apply();
+    }
+
+    startSpring() {
+        if (this.frameId !== null) return;
+        this.lastFrameAt = performance.now();
+        this.frameId = requestAnimationFrame((now) => this.step(now));
+    }
+
+    /**
+     * Semi-implicit Euler in fixed sub-steps of at most 1/120s keeps stiff springs stable
+     */
+    step(now) {
+        let remaining = Math.min((now - this.lastFrameAt) / 1000, 0.1);
+        this.lastFrameAt = now;
+
+        while (remaining > 0) {
+            const dt = Math.min(remaining, 1 / 120);
+            ['x', 'y'].forEach(axis => {
+                const force = this.stiffness * (this.target[axis] - this.current[axis]) - this.damping * this.velocity[axis];
+                this.velocity[axis] += force * dt;
+                this.current[axis] += this.velocity[axis] * dt;
+            });
+            remaining -= dt;
+        }
+
+        const settled = ['x', 'y'].every(axis =>
+            Math.abs(this.target[axis] - this.current[axis]) < 0.001 && Math.abs(this.velocity[axis]) < 0.001
+        );
+        if (settled) {
+            this.current = { ...this.target };
+            this.velocity = { x: 0, y: 0 };
+        }
+
+        this.apply();
+        this.frameId = settled ? null : requestAnimationFrame((time) => this.step(time));
+    }
+
+    apply() {
+        const x = this.current.x * this.intensity;
+        const y = this.current.y * this.intensity;
+        const angle = this.maxAngle;
+
+        this.card.style.transform = `perspective(800px) rotateX(${(x * angle).toFixed(2)}deg) rotateY(${(y * angle).toFixed(2)}deg)`;
+        // Layers and the glare read these, see .parallax-layer and .card-glare
+        this.card.style.setProperty('--tilt-x', x.toFixed(4));
+        this.card.style.setProperty('--tilt-y', y.toFixed(4));
+        this.card.style.setProperty('--glare-x', `${(50 - this.current.y * 50).toFixed(1)}%`);
+        this.card.style.setProperty('--glare-y', `${(50 + this.current.x * 50).toFixed(1)}%`);
+        this.card.style.setProperty('--glare-opacity', Math.min(Math.hypot(x, y), 1).toFixed(3));
+    }
+}
+
+// Depth in pixels of the maximum parallax shift
+CardTilt.defaultLayers = {
+    '.banner': 6,
+    '.avatar-container': 22,
+    '.profile-info': 12,
+    '.social-links': 16,
+    '.quote': 8
+};
+
 /**
  * ProfileInteractions - Handles all user interactions with profile elements
  * Manages social links, music player, and avatar effects
  */
 class ProfileInteractions {
-    constructor() {
+    constructor(profile) {
+        this.profile = profile;
         this.init();
     }
 
@@ -282,102 +1100,124 @@ class ProfileInteractions {
     }
 
     setupSocialLinks() {
+        this.tooltip = new Tooltip();
+        this.toast = new Toast();
         const socialButtons = document.querySelectorAll('.social-button');
         socialButtons.forEach(button => {
-            button.addEventListener('click', (e) => {
-                e.preventDefault();
-                const buttonType = button.classList[1];
-                this.handleSocialClick(buttonType, button);
-            });
+            // null for the static fallback links when profile.json failed to load
+            const link = this.profile.getLink(button.dataset.link);
 
-            // Add hover tooltip
-            button.addEventListener('mouseenter', (e) => {
-                this.showTooltip(e.target, buttonType);
-            });
+            button.addEventListener('click', (e) => this.handleSocialClick(link, button, e));
 
-            button.addEventListener('mouseleave', () => {
-                this.hideTooltip();
-            });
+            this.tooltip.attach(button, () => (link
+                ? i18n.pick(link.tooltip) || SocialLinks.describe(link)
+                : i18n.t('social.open', { label: button.textContent.trim() })));
         });
     }
 
-    handleSocialClick(type, button) {
-        const links = {
-            discord: 'https://discord.gg/yourinvite',
-            telegram: 'https://t.me/yourusername',
-            github: 'https://github.com/yourusername'
-        };
+    /**
+     * "open" links are anchors and navigate natively; copy and QR are handled here
+     */
+    handleSocialClick(link, button, e) {
+        // Add click animation
+        button.style.transform = 'scale(0.95)';
+        setTimeout(() => {
+            button.style.transform = '';
+        }, 150);
 
-        if (links[type]) {
-            // Add click animation
-            button.style.transform = 'scale(0.95)';
-            setTimeout(() => {
-                button.style.transform = '';
-                window.open(links[type], '_blank');
-            }, 150);
+        if (!link || link.action === 'open') return;
+
+        e.preventDefault();
+        if (link.action === 'copy') {
+            this.copyLink(link);
+        } else if (link.action === 'qr') {
+            this.showQrCode(link);
         }
     }
 
-    showTooltip(element, type) {
-        const tooltips = {
-            discord: 'Join my Discord server',
-            telegram: 'Message me on Telegram',
-            github: 'Check out my code'
-        };
-
-        const tooltip = document.createElement('div');
-        tooltip.className = 'social-tooltip';
-        tooltip.textContent = tooltips[type] || 'Visit my profile';
-
-        tooltip.style.cssText = `
-            position: absolute;
-            background: rgba(0, 0, 0, 0.9);
-            color: #fff;
-            padding: 0.5rem 0.8rem;
-            border-radius: 5px;
-            font-size: 0.7rem;
-            white-space: nowrap;
-            z-index: 1000;
-            pointer-events: none;
-            backdrop-filter: blur(10px);
-            border: 1px solid rgba(255, 255, 255, 0.1);
-            animation: tooltipFadeIn 0.2s ease-out;
-        `;
-
-        const rect = element.getBoundingClientRect();
-        tooltip.style.left = rect.left + (rect.width / 2) - 50 + 'px';
-        tooltip.style.top = rect.top - 35 + 'px';
-
-        document.body.appendChild(tooltip);
-        this.currentTooltip = tooltip;
+    copyLink(link) {
+        SocialLinks.copyText(link.value).then(copied => {
+            this.toast.show(i18n.t(copied ? 'social.copied' : 'social.copyFailed', { value: link.value }));
+        });
     }
 
-    hideTooltip() {
-        if (this.currentTooltip) {
-            this.currentTooltip.style.animation = 'tooltipFadeOut 0.2s ease-out';
-            setTimeout(() => {
-                if (this.currentTooltip) {
-                    this.currentTooltip.remove();
-                    this.currentTooltip = null;
-                }
-            }, 200);
+    /**
+     * The code holds the href (e.g. "bitcoin:..."), so a phone camera opens the right app;
+     * the plain value is shown under it with a copy button
+     */
+    showQrCode(link) {
+        let qr;
+        try {
+            qr = QrCode.encode(link.href);
+        } catch (error) {
+            console.log('QR code could not be generated:', error);
+            this.copyLink(link);
+            return;
         }
+
+        const label = i18n.t('social.qrLabel', { label: i18n.pick(link.label) });
+        const dialog = new Dialog({ label, className: 'qr-modal' });
+
+        const title = document.createElement('p');
+        title.className = 'qr-title';
+        title.textContent = label;
+
+        const code = document.createElement('div');
+        code.className = 'qr-code';
+        code.setAttribute('role', 'img');
+        code.setAttribute('aria-label', label);
+        code.appendChild(qr.toSvg());
+
+        const hint = document.createElement('span');
+        hint.className = 'qr-hint';
+        hint.textContent = i18n.t('social.qrHint');
+
+        const value = document.createElement('code');
+        value.className = 'qr-value';
+        value.textContent = link.value;
+
+        const actions = document.createElement('div');
+        actions.className = 'qr-actions';
+
+        // Feedback stays inside the dialog: the page behind it, toast included, is inert
+        const copyButton = document.createElement('button');
+        copyButton.type = 'button';
+        copyButton.className = 'qr-button';
+        copyButton.textContent = i18n.t('social.qrCopy');
+        copyButton.addEventListener('click', () => {
+            SocialLinks.copyText(link.value).then(copied => {
+                copyButton.textContent = i18n.t(copied ? 'social.qrCopied' : 'social.qrCopyFailed');
+            });
+        });
+        actions.appendChild(copyButton);
+
+        if (link.href) {
+            const openLink = document.createElement('a');
+            openLink.className = 'qr-button';
+            openLink.href = link.href;
+            openLink.target = '_blank';
+            openLink.rel = 'noopener noreferrer';
+            openLink.textContent = i18n.t('social.qrOpen');
+            actions.appendChild(openLink);
+        }
+
+        dialog.body.append(title, code, hint, value, actions);
+        dialog.open();
     }
 
     setupMusicPlayer() {
-        const playButton = document.getElementById('play-pause');
-        const soundManager = new SoundManager();
-
-        if (playButton) {
-            playButton.addEventListener('click', () => {
-                const newIcon = soundManager.toggleMusic();
-                playButton.textContent = newIcon;
-                // Update accessibility attributes
-                const isPlaying = newIcon === '⏸️';
-                playButton.setAttribute('aria-pressed', isPlaying.toString());
-                playButton.setAttribute('aria-label', isPlaying ? 'Pause background music' : 'Play background music');
+        this.soundManager = new SoundManager(this.profile.sounds);
+
+        // The analyser has to set up CORS on the element before the player loads a track
+        const { visualizer } = this.profile.music;
+        if (visualizer.enabled !== false) {
+            this.audioAnalyser = new AudioAnalyser(document.getElementById('music'), {
+                ...visualizer,
+                context: this.soundManager.context
             });
+            this.audioVisuals = new AudioVisuals(this.audioAnalyser, visualizer);
         }
+        this.musicPlayer = new MusicPlayer(this.profile.music.tracks);
     }
 
     /**
@@ -399,26 +1239,12 @@ class ProfileInteractions {
 
             // Add double-click effect
             avatar.addEventListener('dblclick', () => {
-                this.showAvatarModal();
+                this.showGallery();
             });
         }
 
         if (profileCard) {
-            profileCard.addEventListener('mousemove', (e) => {
-                const rect = profileCard.getBoundingClientRect();
-                const x = e.clientX - rect.left;
-                const y = e.clientY - rect.top;
-                const centerX = rect.width / 2;
-                const centerY = rect.height / 2;
-                const rotateX = (y - centerY) / 10;
-                const rotateY = -(x - centerX) / 10;
-
-                profileCard.style.transform = `translateZ(-20px) rotateX(${rotateX}deg) rotateY(${rotateY}deg)`;
-            });
-
-            profileCard.addEventListener('mouseleave', () => {
-                profileCard.style.transform = 'translateZ(0) rotateX(0) rotateY(0)';
-            });
+            this.tilt = new CardTilt(profileCard, this.profile.tilt);
 
             // Add card click effect
             profileCard.addEventListener('click', (e) => {
@@ -472,44 +1298,15 @@ class ProfileInteractions {
         setTimeout(() => ripple.remove(), 800);
     }
 
-    showAvatarModal() {
-        const modal = document.createElement('div');
-        modal.className = 'avatar-modal';
-        modal.innerHTML = `
-            <div class="modal-content">
-                <img src="img/avatar.svg" alt="Avatar" class="modal-avatar">
-                <p>qqrze</p>
-                <button class="modal-close">×</button>
-            </div>
-        `;
-
-        modal.style.cssText = `
-            position: fixed;
-            top: 0;
-            left: 0;
-            width: 100%;
-            height: 100%;
-            background: rgba(0, 0, 0, 0.8);
-            display: flex;
-            justify-content: center;
-            align-items: center;
-            z-index: 1000;
-            animation: fadeIn 0.3s ease-out;
-        `;
-
-        modal.querySelector('.modal-close').addEventListener('click', () => {
-            modal.style.animation = 'fadeOut 0.3s ease-out';
-            setTimeout(() => modal.remove(), 300);
-        });
-
-        modal.addEventListener('click', (e) => {
-            if (e.target === modal) {
-                modal.style.animation = 'fadeOut 0.3s ease-out';
-                setTimeout(() => modal.remove(), 300);
-            }
-        });
-
-        document.body.appendChild(modal);
+    /**
+     * Opens the gallery from profile.json; without one it shows just the avatar
+     */
+    showGallery() {
+        const images = this.profile.gallery.length > 0 ? this.profile.gallery : [{
+            src: this.profile.avatar || document.querySelector('.avatar').src,
+            caption: this.profile.name || document.querySelector('.username').textContent
+        }];
+        new Lightbox(images).open();
     }
 }
 
@@ -555,59 +1352,161 @@ class BackgroundEffects {
     }
 }
 
-class ResponsiveHandler {
+/**
+ * SettingsPanel - The gear button in the top-left corner and the panel it opens
+ * Closes on Escape and on a click outside
+ */
+class SettingsPanel {
     constructor() {
+        this.toggle = document.getElementById('settings-toggle');
+        this.panel = document.getElementById('settings-panel');
+        if (this.toggle && this.panel) {
+            this.init();
+        }
+    }
+
+    init() {
+        this.toggle.addEventListener('click', () => this.setOpen(this.panel.hidden));
+
+        document.addEventListener('pointerdown', (e) => {
+            if (!this.panel.hidden && !this.panel.contains(e.target) && !this.toggle.contains(e.target)) {
+                this.setOpen(false);
+            }
+        });
+
+        this.panel.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.setOpen(false);
+                this.toggle.focus();
+            }
+        });
+    }
+
+    setOpen(open) {
+        this.panel.hidden = !open;
+        this.toggle.setAttribute('aria-expanded', open.toString());
+    }
+}
+
+/**
+ * ResponsiveHandler - Scales effects down on small screens instead of disabling them
+ */
+class ResponsiveHandler {
+    constructor({ particles = null, tilt = null } = {}) {
+        this.particles = particles;
+        this.tilt = tilt;
+        this.isMobile = null;
         this.init();
     }
 
     init() {
         this.handleResize();
         window.addEventListener('resize', () => this.handleResize());
-        // Disable particles on mobile devices
-        this.handleMobileParticles();
     }
 
     handleResize() {
         const isMobile = window.innerWidth <= 768;
-        const profileCard = document.querySelector('.profile-card');
+        if (isMobile === this.isMobile) return;
+        this.isMobile = isMobile;
 
-        if (profileCard && isMobile) {
-            profileCard.style.transform = 'none';
+        // Half the particles and glow, a gentler tilt
+        if (this.particles) {
+            this.particles.setQualityCap(isMobile ? 0.5 : 1);
         }
-    }
-
-    handleMobileParticles() {
-        // Disable particle system on mobile for performance
-        if (window.innerWidth <= 768) {
-            const particlesCanvas = document.getElementById('particles');
-            if (particlesCanvas) {
-                particlesCanvas.style.display = 'none';
-            }
+        if (this.tilt) {
+            this.tilt.setIntensity(isMobile ? 0.5 : 1);
         }
     }
 }
 
-document.addEventListener('DOMContentLoaded', () => {
-    new LoadingScreen();
-    new ParticleSystem();
-    new TimeDisplay();
-    new CustomCursor();
-    new ProfileInteractions();
+document.addEventListener('DOMContentLoaded', async () => {
+    i18n.init();
+    window.effectsManager = new EffectsManager();
+    const loader = new LoadingScreen();
+
+    // Presence can arrive while everything else loads, so listen before the first await
+    loader.track('presence', Promise.race([
+        loader.waitForEvent('presence:update'),
+        loader.waitForEvent('presence:connection', detail => detail.state === 'unavailable')
+    ]), { timeout: 5000 });
+    loader.track('fonts', loader.loadFonts(), { weight: 2, critical: true, timeout: 3000 });
+
+    // ProfileConfig.load never rejects and times out by itself, falling back to the static markup
+    const profile = await loader.track('profile', ProfileConfig.load(), { weight: 2, critical: true, timeout: 0 });
+    profile.render();
+    document.addEventListener('i18n:change', () => profile.localize());
+    setupPageGuards(profile.behavior);
+
+    loader.track('avatar', loader.waitForImage(document.querySelector('.avatar')), { weight: 2, critical: true });
+    loader.track('banner', loader.waitForImage(document.querySelector('.banner-img')), { critical: true });
+
+    window.themeManager = new ThemeManager(profile.theme);
+    window.particleSystem = new ParticleSystem(profile.particles);
+    window.particleSystem.setTheme(window.themeManager.getTheme());
+    new TimeDisplay({
+        timezone: profile.availability ? profile.availability.timezone : null,
+        ...profile.clock
+    });
+    const cursor = new CustomCursor();
+    const interactions = new ProfileInteractions(profile);
     new BackgroundEffects();
-    new ResponsiveHandler();
+    new ResponsiveHandler({ particles: window.particleSystem, tilt: interactions.tilt });
+    new SettingsPanel();
+
+    // Reduced effects and the settings toggles switch the components on and off
+    const applyEffects = (effects) => {
+        cursor.setEnabled(effects.cursor);
+        window.particleSystem.setEnabled(effects.particles);
+        if (interactions.tilt) {
+            interactions.tilt.setEnabled(effects.tilt);
+        }
+        if (interactions.soundManager) {
+            interactions.soundManager.setAllowed(effects.sounds);
+        }
+        if (interactions.audioVisuals) {
+            interactions.audioVisuals.setEnabled(effects.animations);
+        }
+    };
+    applyEffects(window.effectsManager.getState());
+    document.addEventListener('effects:change', (e) => applyEffects(e.detail.effects));
+
+    if (interactions.soundManager) {
+        loader.track('sounds', interactions.soundManager.ready);
+    }
+    const firstTrack = profile.music.tracks[0];
+    if (firstTrack && firstTrack.cover) {
+        loader.track('cover', loader.loadImage(firstTrack.cover));
+    }
+    loader.track('music', loader.waitForMedia(document.getElementById('music')));
+    loader.finish();
     
     setTimeout(() => {
         document.body.style.opacity = '1';
     }, 100);
 });
 
-document.addEventListener('contextmenu', (e) => {
-    e.preventDefault();
-});
+/**
+ * Blocking copy and asking "leave site?" get in the way of visitors, so both are
+ * opt-in: behavior.blockCopy and behavior.confirmLeave in profile.json
+ */
+function setupPageGuards(behavior = {}) {
+    if (behavior.blockCopy) {
+        document.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+        });
 
-document.addEventListener('selectstart', (e) => {
-    e.preventDefault();
-});
+        document.addEventListener('selectstart', (e) => {
+            e.preventDefault();
+        });
+    }
+
+    if (behavior.confirmLeave) {
+        window.addEventListener('beforeunload', (e) => {
+            e.preventDefault();
+            return '';
+        });
+    }
+}
 
 // Keyboard navigation support
 document.addEventListener('keydown', (e) => {
@@ -628,18 +1527,4 @@ document.addEventListener('keydown', (e) => {
         e.preventDefault();
         e.target.click();
     }
-
-    // Escape to close modal
-    if (e.key === 'Escape') {
-        const modal = document.querySelector('.avatar-modal');
-        if (modal) {
-            modal.style.animation = 'fadeOut 0.3s ease-out';
-            setTimeout(() => modal.remove(), 300);
-        }
-    }
-});
-
-window.addEventListener('beforeunload', (e) => {
-    e.preventDefault();
-    return '';
 });
\ No newline at end of file
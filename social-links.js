@@ -0,0 +1,130 @@
+/**
+ * SocialLinks - Registry of link platforms and what clicking each one does
+ * A profile.json link names a platform (its id doubles as one) and gives a value:
+ * a URL, a handle or an address. The platform turns the value into an href and
+ * sets the default icon, label and action; the link itself may override any of them
+ *   open - opens the href in a new tab
+ *   copy - copies the value and confirms with a toast (usernames, emails)
+ *   qr   - shows a QR code of the href to scan with a phone (wallet addresses)
+ */
+class SocialLinks {
+    /**
+     * Fills in a profile.json link from its platform
+     * @param {{ id?: string, platform?: string, value?: string, url?: string, action?: string,
+     *           icon?: string, label?: string|object, tooltip?: string|object, ariaLabel?: string|object }} link
+     */
+    static resolve(link) {
+        let platformId = link.platform || (SocialLinks.platforms[link.id] ? link.id : 'link');
+        if (!SocialLinks.platforms[platformId]) {
+            console.log('Unknown link platform:', platformId);
+            platformId = 'link';
+        }
+
+        const platform = SocialLinks.platforms[platformId];
+        const value = String(link.value || link.url || '').trim();
+        const href = value && platform.url ? platform.url(value) : '';
+        const action = SocialLinks.actions.includes(link.action) ? link.action : platform.action;
+
+        return {
+            id: link.id || platformId,
+            platform: platformId,
+            value,
+            href,
+            // Nothing to open or encode without an href, so such links can only be copied
+            action: href ? action : 'copy',
+            icon: link.icon || platform.icon,
+            label: link.label || platform.label,
+            tooltip: link.tooltip || null,
+            ariaLabel: link.ariaLabel || null
+        };
+    }
+
+    /**
+     * Default tooltip and aria-label: says what a click will do
+     */
+    static describe(link) {
+        return i18n.t(`social.${link.action}`, { label: i18n.pick(link.label), value: link.value });
+    }
+
+    /**
+     * @returns {Promise<boolean>} whether the text reached the clipboard
+     */
+    static copyText(text) {
+        if (navigator.clipboard && window.isSecureContext) {
+            return navigator.clipboard.writeText(text)
+                .then(() => true, () => SocialLinks.copyWithSelection(text));
+        }
+        return Promise.resolve(SocialLinks.copyWithSelection(text));
+    }
+
+    // Plain-HTTP pages have no Clipboard API; copy through a hidden selection instead
+    static copyWithSelection(text) {
+        const previousFocus = document.activeElement;
+        const field = document.createElement('textarea');
+        field.value = text;
+        field.setAttribute('readonly', '');
+        field.style.position = 'fixed';
+        field.style.opacity = '0';
+        document.body.appendChild(field);
+        field.select();
+
+        let copied = false;
+        try {
+            copied = document.execCommand('copy');
+        } catch (error) {
+            console.log('Copy failed:', error);
+        }
+
+        field.remove();
+        if (previousFocus && typeof previousFocus.focus === 'function') {
+            previousFocus.focus();
+        }
+        return copied;
+    }
+
+    /**
+     * Builds an href from either a full URL/URI or a bare handle. Only schemes from
+     * SocialLinks.schemes pass through, anything else (javascript:, data:) gives no href
+     */
+    static prefix(base) {
+        return value => {
+            const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(value);
+            if (!scheme) {
+                return base + value.replace(/^@/, '');
+            }
+            if (SocialLinks.schemes.includes(scheme[1].toLowerCase())) {
+                return value;
+            }
+            console.log('Link scheme not allowed:', value);
+            return '';
+        };
+    }
+}
+
+SocialLinks.actions = ['open', 'copy', 'qr'];
+
+SocialLinks.schemes = ['http', 'https', 'mailto', 'bitcoin', 'ethereum', 'ton'];
+
+SocialLinks.platforms = {
+    link: { label: 'Link', icon: '🔗', action: 'open', url: SocialLinks.prefix('https://') },
+    website: { label: { en: 'Website', ru: 'Сайт' }, icon: '🌐', action: 'open', url: SocialLinks.prefix('https://') },
+    discord: { label: 'Discord', icon: '💬', action: 'open', url: SocialLinks.prefix('https://discord.gg/') },
+    // Usernames have no profile URL (discord.com/users/ takes numeric ids only), so copy only
+    'discord-user': { label: 'Discord', icon: '💬', action: 'copy', url: null },
+    telegram: { label: 'Telegram', icon: '📱', action: 'open', url: SocialLinks.prefix('https://t.me/') },
+    github: { label: 'GitHub', icon: '💻', action: 'open', url: SocialLinks.prefix('https://github.com/') },
+    steam: { label: 'Steam', icon: '🎮', action: 'open', url: SocialLinks.prefix('https://steamcommunity.com/id/') },
+    youtube: { label: 'YouTube', icon: '▶️', action: 'open', url: SocialLinks.prefix('https://www.youtube.com/@') },
+    twitch: { label: 'Twitch', icon: '📺', action: 'open', url: SocialLinks.prefix('https://www.twitch.tv/') },
+    spotify: { label: 'Spotify', icon: '🎧', action: 'open', url: SocialLinks.prefix('https://open.spotify.com/user/') },
+    x: { label: 'X', icon: '✖️', action: 'open', url: SocialLinks.prefix('https://x.com/') },
+    instagram: { label: 'Instagram', icon: '📷', action: 'open', url: SocialLinks.prefix('https://www.instagram.com/') },
+    reddit: { label: 'Reddit', icon: '👽', action: 'open', url: SocialLinks.prefix('https://www.reddit.com/user/') },
+    vk: { label: { en: 'VK', ru: 'ВКонтакте' }, icon: '🅥', action: 'open', url: SocialLinks.prefix('https://vk.com/') },
+    email: { label: { en: 'Email', ru: 'Почта' }, icon: '✉️', action: 'copy', url: SocialLinks.prefix('mailto:') },
+    bitcoin: { label: 'Bitcoin', icon: '₿', action: 'qr', url: SocialLinks.prefix('bitcoin:') },
+    ethereum: { label: 'Ethereum', icon: '💠', action: 'qr', url: SocialLinks.prefix('ethereum:') },
+    ton: { label: 'TON', icon: '💎', action: 'qr', url: SocialLinks.prefix('ton://transfer/') }
+};
+
+SocialLinks.platforms.twitter = SocialLinks.platforms.x;
@@ -0,0 +1,130 @@
+/**
+ * ThemeManager - Switches colour themes defined in style.css via <html data-theme>
+ * The choice is remembered; without one the theme follows prefers-color-scheme
+ * Fires "theme:change" on document so canvas effects can pick up the palette
+ */
+class ThemeManager {
+    constructor(config = {}) {
+        this.storageKey = 'bio:theme';
+        this.themes = ThemeManager.themes;
+        this.darkTheme = this.themes[config.dark] ? config.dark : 'dark-crystal';
+        this.lightTheme = this.themes[config.light] ? config.light : 'frost';
+        this.schemeQuery = window.matchMedia('(prefers-color-scheme: light)');
+        this.select = document.getElementById('theme-select');
+        this.current = null;
+        this.init();
+    }
+
+    init() {
+        this.apply(this.getSavedTheme() || this.getSystemTheme());
+        this.setupSwitcher();
+
+        // Only an explicit "auto" choice (no saved theme) keeps following the system
+        this.schemeQuery.addEventListener('change', () => {
+            if (!this.getSavedTheme()) {
+                this.apply(this.getSystemTheme());
+            }
+        });
+    }
+
+    getSystemTheme() {
+        return this.schemeQuery.matches ? this.lightTheme : this.darkTheme;
+    }
+
+    getSavedTheme() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            return this.themes[saved] ? saved : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    setupSwitcher() {
+        if (!this.select) return;
+
+        const auto = document.createElement('option');
+        auto.value = 'auto';
+        this.select.appendChild(auto);
+
+        Object.keys(this.themes).forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            this.select.appendChild(option);
+        });
+
+        this.labelOptions();
+        this.select.value = this.getSavedTheme() || 'auto';
+        this.select.addEventListener('change', () => this.choose(this.select.value));
+        document.addEventListener('i18n:change', () => this.labelOptions());
+    }
+
+    labelOptions() {
+        Array.from(this.select.options).forEach(option => {
+            option.textContent = i18n.t(`theme.${option.value}`);
+        });
+    }
+
+    /**
+     * Applies and remembers a theme; "auto" forgets the choice and follows the system again
+     */
+    choose(name) {
+        try {
+            if (name === 'auto') {
+                localStorage.removeItem(this.storageKey);
+            } else if (this.themes[name]) {
+                localStorage.setItem(this.storageKey, name);
+            }
+        } catch (error) {
+            console.log('Theme choice could not be saved:', error);
+        }
+
+        this.apply(name === 'auto' ? this.getSystemTheme() : name);
+        if (this.select) {
+            this.select.value = this.getSavedTheme() || 'auto';
+        }
+    }
+
+    apply(name) {
+        if (!this.themes[name] || name === this.current) return;
+
+        this.current = name;
+        document.documentElement.dataset.theme = name;
+
+        const meta = document.querySelector('meta[name="theme-color"]');
+        if (meta) {
+            meta.content = getComputedStyle(document.documentElement).getPropertyValue('--bg').trim() || meta.content;
+        }
+
+        document.dispatchEvent(new CustomEvent('theme:change', {
+            detail: { name, theme: this.themes[name] }
+        }));
+    }
+
+    getTheme() {
+        return this.themes[this.current];
+    }
+}
+
+/**
+ * Colours live in style.css ([data-theme] blocks); this registry only adds what
+ * CSS cannot reach - the canvas particle palette. null keeps each preset's own palette
+ */
+ThemeManager.themes = {
+    'dark-crystal': {
+        scheme: 'dark',
+        particles: null
+    },
+    midnight: {
+        scheme: 'dark',
+        particles: ['#2b3a67', '#3e5491', '#5b73c7', '#7d93e0']
+    },
+    ember: {
+        scheme: 'dark',
+        particles: ['hsl(10, 70%, 40%)', 'hsl(20, 80%, 45%)', 'hsl(35, 80%, 50%)']
+    },
+    frost: {
+        scheme: 'light',
+        particles: ['#9fb0cc', '#7d93b8', '#5b6f93']
+    }
+};